@@ -0,0 +1,405 @@
+const { ValidationError } = require('./errors');
+
+// REST API
+// JSON endpoints served by the Bolt receiver next to the iCal feeds. Every request
+// needs `Authorization: Bearer <key>` with a key from /rotation-api-key, and only
+// ever sees the workspace that key belongs to. Fields are camelCase, as accepted by
+// createSchedule; responses are { data } or { error }.
+const MAX_BODY_BYTES = 1024 * 1024;
+const STATUS = Symbol('status');
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function createApiRoutes(bot) {
+    const route = (method, path, handler) => ({
+        path: `/api${path}`,
+        method: [method],
+        handler: (req, res) => handleRequest(bot, req, res, handler)
+    });
+
+    return [
+        route('GET', '/schedules', async ({ apiKey }) => {
+            const schedules = await bot.getSchedulesForWorkspace(apiKey.workspace_id);
+            return schedules.map(serializeSchedule);
+        }),
+        route('POST', '/schedules', async ({ apiKey, body }) => {
+            if (!body.name || !body.type || !body.frequency) {
+                throw new ApiError(400, 'name, type and frequency are required');
+            }
+            if (!bot.providers.has(body.type)) {
+                throw new ApiError(400, `Unknown schedule type "${body.type}"`);
+            }
+            if (body.members !== undefined && !Array.isArray(body.members)) {
+                throw new ApiError(400, 'members must be a list of Slack user IDs');
+            }
+
+            const { id } = await bot.createSchedule({
+                ...pick(body, SCHEDULE_FIELDS),
+                type: body.type,
+                reminderLeadTimes: bot.parseLeadTimes(body.reminderLeadTimes),
+                workspaceId: apiKey.workspace_id
+            }, getAudit(apiKey));
+            return withStatus(201, serializeSchedule(await bot.getScheduleById(id)));
+        }),
+        route('GET', '/schedules/:id', async ({ apiKey, params }) => {
+            return serializeSchedule(await getSchedule(bot, apiKey, params.id));
+        }),
+        route('PATCH', '/schedules/:id', async ({ apiKey, params, body }) => {
+            await getActiveSchedule(bot, apiKey, params.id);
+            if (body.members !== undefined && !Array.isArray(body.members)) {
+                throw new ApiError(400, 'members must be a list of Slack user IDs');
+            }
+            return serializeSchedule(await bot.updateSchedule(params.id, body, getAudit(apiKey)));
+        }),
+        route('DELETE', '/schedules/:id', async ({ apiKey, params }) => {
+            await getSchedule(bot, apiKey, params.id);
+            await bot.deleteSchedule(params.id, getAudit(apiKey));
+            return withStatus(204, null);
+        }),
+
+        route('GET', '/oncall/:scheduleId', async ({ apiKey, params }) => {
+            const schedule = await getSchedule(bot, apiKey, params.scheduleId);
+            const context = { unmapped: [] };
+            const onCall = await bot.getEffectiveOnCall(schedule, context);
+            return {
+                scheduleId: schedule.id,
+                scheduleName: schedule.name,
+                userId: onCall.userId,
+                scheduledUserId: onCall.scheduledUser,
+                override: onCall.override ? serializeOverride(onCall.override) : null,
+                unmapped: context.unmapped,
+                // Set while the provider is failing and userId is the last known on-call
+                stale: onCall.stale
+            };
+        }),
+
+        route('GET', '/overrides', async ({ apiKey, query }) => {
+            const scheduleId = query.get('scheduleId');
+            const overrides = await bot.getOpenOverrides(apiKey.workspace_id);
+            return overrides
+                .filter(override => !scheduleId || override.schedule_id === scheduleId)
+                .map(serializeOverride);
+        }),
+        route('POST', '/overrides', async ({ apiKey, body }) => {
+            if (!body.scheduleId || !body.replacementUser) {
+                throw new ApiError(400, 'scheduleId and replacementUser are required');
+            }
+            if (!body.duration && !body.endTime) {
+                throw new ApiError(400, 'Give either duration (e.g. "8h") or endTime');
+            }
+
+            const schedule = await getActiveSchedule(bot, apiKey, body.scheduleId);
+            const timezone = bot.resolveTimezone(body.timezone || schedule.timezone);
+            const override = await bot.createOverride(
+                schedule.id,
+                body.replacementUser,
+                body.duration || null,
+                body.reason || null,
+                getActor(apiKey),
+                apiKey.workspace_id,
+                timezone,
+                { startTime: parseDate(body.startTime, 'startTime'), endTime: parseDate(body.endTime, 'endTime') },
+                getAudit(apiKey)
+            );
+            await bot.checkScheduleTransition(schedule.id, getAudit(apiKey));
+            return withStatus(201, serializeOverride(await bot.getOverrideById(override.id)));
+        }),
+        route('GET', '/overrides/:id', async ({ apiKey, params }) => {
+            return serializeOverride(await getOverride(bot, apiKey, params.id));
+        }),
+        route('PATCH', '/overrides/:id', async ({ apiKey, params, body }) => {
+            const override = await getOverride(bot, apiKey, params.id);
+            await getActiveSchedule(bot, apiKey, override.schedule_id);
+            if (!body.extendBy) {
+                throw new ApiError(400, 'Only extendBy (e.g. "1h") can be changed');
+            }
+
+            await bot.extendOverride(params.id, body.extendBy, getAudit(apiKey));
+            return serializeOverride(await bot.getOverrideById(params.id));
+        }),
+        route('DELETE', '/overrides/:id', async ({ apiKey, params }) => {
+            await getOverride(bot, apiKey, params.id);
+            await bot.cancelOverride(params.id, getActor(apiKey), getAudit(apiKey));
+            return serializeOverride(await bot.getOverrideById(params.id));
+        }),
+
+        route('GET', '/mappings', async ({ apiKey }) => {
+            const mappings = await bot.getMappingsForWorkspace(apiKey.workspace_id);
+            return mappings.map(serializeMapping);
+        }),
+        route('POST', '/mappings', async ({ apiKey, body }) => {
+            if (!body.userGroup || !Array.isArray(body.scheduleIds) || body.scheduleIds.length === 0) {
+                throw new ApiError(400, 'userGroup and a non-empty scheduleIds list are required');
+            }
+            for (const scheduleId of body.scheduleIds) {
+                await getActiveSchedule(bot, apiKey, scheduleId);
+            }
+
+            const syncConfig = body.syncConfig || { conflictResolution: 'merge' };
+            bot.validateSyncConfig(syncConfig, body.scheduleIds);
+
+            const userGroup = await bot.createOrGetUserGroup(body.userGroup, apiKey.workspace_id);
+            const mapping = await bot.createScheduleMapping(userGroup.id, body.scheduleIds, syncConfig, apiKey.workspace_id, getAudit(apiKey));
+            return withStatus(201, serializeMapping(await bot.getMappingById(mapping.id)));
+        }),
+        route('GET', '/mappings/:id', async ({ apiKey, params }) => {
+            return serializeMapping(await getMapping(bot, apiKey, params.id));
+        }),
+        route('PATCH', '/mappings/:id', async ({ apiKey, params, body }) => {
+            const mapping = await getMapping(bot, apiKey, params.id);
+            if (body.scheduleIds !== undefined) {
+                if (!Array.isArray(body.scheduleIds) || body.scheduleIds.length === 0) {
+                    throw new ApiError(400, 'scheduleIds must be a non-empty list');
+                }
+                for (const scheduleId of body.scheduleIds) {
+                    await getActiveSchedule(bot, apiKey, scheduleId);
+                }
+            }
+
+            const scheduleIds = body.scheduleIds || JSON.parse(mapping.schedule_ids);
+            const syncConfig = body.syncConfig || JSON.parse(mapping.sync_config || '{}');
+            bot.validateSyncConfig(syncConfig, scheduleIds);
+
+            await bot.updateScheduleMapping(params.id, { scheduleIds, syncConfig }, getAudit(apiKey));
+            return serializeMapping(await bot.getMappingById(params.id));
+        }),
+        route('DELETE', '/mappings/:id', async ({ apiKey, params }) => {
+            await getMapping(bot, apiKey, params.id);
+            await bot.deleteScheduleMapping(params.id, getAudit(apiKey));
+            return withStatus(204, null);
+        }),
+        route('POST', '/mappings/:id/sync', async ({ apiKey, params }) => {
+            await getMapping(bot, apiKey, params.id);
+            return bot.syncScheduleMapping(params.id, getAudit(apiKey));
+        }),
+
+        route('GET', '/webhooks', async ({ apiKey }) => {
+            const webhooks = await bot.getWebhooks(apiKey.workspace_id);
+            return webhooks.map(webhook => serializeWebhook(webhook));
+        }),
+        route('POST', '/webhooks', async ({ apiKey, body }) => {
+            if (body.events !== undefined && !Array.isArray(body.events)) {
+                throw new ApiError(400, 'events must be a list of event types');
+            }
+
+            const webhook = await bot.createWebhook(apiKey.workspace_id, body.url, body.events || [], getActor(apiKey));
+            return withStatus(201, serializeWebhook(webhook, { includeSecret: true }));
+        }),
+        route('DELETE', '/webhooks/:id', async ({ apiKey, params }) => {
+            const removed = await bot.removeWebhook(apiKey.workspace_id, params.id);
+            if (!removed) throw new ApiError(404, `Webhook ${params.id} not found`);
+            return withStatus(204, null);
+        }),
+        route('GET', '/webhooks/:id/deliveries', async ({ apiKey, params }) => {
+            const webhook = await bot.getWebhookById(params.id);
+            if (!webhook || webhook.workspace_id !== apiKey.workspace_id) {
+                throw new ApiError(404, `Webhook ${params.id} not found`);
+            }
+            return bot.getWebhookDeliveries(webhook.id);
+        })
+    ];
+}
+
+// Authenticate, parse, run the handler and write the JSON response. Handlers return
+// the response data, wrapped with withStatus() for anything other than 200.
+async function handleRequest(bot, req, res, handler) {
+    try {
+        const apiKey = await authenticate(bot, req);
+        const body = ['POST', 'PATCH'].includes(req.method) ? await readJsonBody(req) : {};
+        const query = new URL(req.url, 'http://localhost').searchParams;
+
+        const result = await handler({ apiKey, params: req.params || {}, query, body });
+        const { [STATUS]: status = 200, data = result } = result && result[STATUS] ? result : {};
+        sendJson(res, status, status === 204 ? null : { data });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            sendJson(res, error.status, { error: error.message });
+        } else if (error instanceof ValidationError) {
+            sendJson(res, 400, { error: error.message });
+        } else {
+            // Anything else is ours, not the caller's, and its message may leak internals
+            console.error('API request failed:', error);
+            sendJson(res, 500, { error: 'Internal error' });
+        }
+    }
+}
+
+async function authenticate(bot, req) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match) throw new ApiError(401, 'Missing API key');
+
+    const apiKey = await bot.findApiKey(match[1]);
+    if (!apiKey) throw new ApiError(401, 'Invalid API key');
+
+    await bot.touchApiKey(apiKey.id);
+    return apiKey;
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new ApiError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) return resolve({});
+
+            try {
+                const body = JSON.parse(text);
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new Error('not an object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new ApiError(400, 'Body must be a JSON object'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function withStatus(status, data) {
+    return { [STATUS]: status, data };
+}
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(payload === null ? undefined : JSON.stringify(payload));
+}
+
+// Lookups answer 404 for other workspaces' resources, so IDs can't be probed
+async function getSchedule(bot, apiKey, scheduleId) {
+    const schedule = await bot.getScheduleById(scheduleId);
+    if (!schedule || schedule.workspace_id !== apiKey.workspace_id) {
+        throw new ApiError(404, `Schedule ${scheduleId} not found`);
+    }
+    return schedule;
+}
+
+// Archived schedules can still be read and deleted, but not changed or used
+async function getActiveSchedule(bot, apiKey, scheduleId) {
+    const schedule = await getSchedule(bot, apiKey, scheduleId);
+    if (schedule.archived_at) {
+        throw new ApiError(409, `Schedule ${scheduleId} is archived, restore it first`);
+    }
+    return schedule;
+}
+
+async function getOverride(bot, apiKey, overrideId) {
+    const override = await bot.getOverrideById(overrideId);
+    if (!override || override.workspace_id !== apiKey.workspace_id) {
+        throw new ApiError(404, `Override ${overrideId} not found`);
+    }
+    return override;
+}
+
+async function getMapping(bot, apiKey, mappingId) {
+    const mapping = await bot.getMappingById(mappingId);
+    if (!mapping || mapping.workspace_id !== apiKey.workspace_id) {
+        throw new ApiError(404, `Mapping ${mappingId} not found`);
+    }
+    return mapping;
+}
+
+// Recorded as the creator/canceller of overrides made through the API
+function getActor(apiKey) {
+    return `api:${apiKey.name}`;
+}
+
+// Attributes audit log entries to the key
+function getAudit(apiKey) {
+    return { actor: getActor(apiKey), source: 'api' };
+}
+
+function parseDate(value, field) {
+    if (value === undefined || value === null) return undefined;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new ApiError(400, `${field} must be an ISO 8601 timestamp`);
+    return date;
+}
+
+const SCHEDULE_FIELDS = [
+    'name', 'frequency', 'members', 'integrationConfig', 'customInterval', 'timezone',
+    'rotationStartTime', 'rotationWeekday', 'rotationMonthDay', 'rotationAnchor',
+    'startingMember', 'notificationChannel'
+];
+
+function pick(object, keys) {
+    return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
+
+function serializeSchedule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        frequency: row.frequency,
+        members: JSON.parse(row.members || '[]'),
+        integrationConfig: JSON.parse(row.integration_config || '{}'),
+        customInterval: row.custom_interval,
+        timezone: row.timezone,
+        rotationStartTime: row.rotation_start_time,
+        rotationWeekday: row.rotation_weekday,
+        rotationMonthDay: row.rotation_month_day,
+        rotationAnchor: row.rotation_anchor,
+        startingMember: row.starting_member,
+        notificationChannel: row.notification_channel,
+        reminderLeadTimes: JSON.parse(row.reminder_lead_times || '[]'),
+        archivedAt: row.archived_at || null,
+        createdAt: row.created_at
+    };
+}
+
+function serializeOverride(row) {
+    return {
+        id: row.id,
+        scheduleId: row.schedule_id,
+        replacementUser: row.replacement_user,
+        startTime: new Date(row.start_time).toISOString(),
+        endTime: new Date(row.end_time).toISOString(),
+        timezone: row.timezone,
+        reason: row.reason,
+        status: row.status,
+        createdBy: row.created_by,
+        cancelledBy: row.cancelled_by
+    };
+}
+
+function serializeMapping(row) {
+    return {
+        id: row.id,
+        userGroup: { id: row.user_group_id, slackGroupId: row.slack_group_id, name: row.group_name },
+        scheduleIds: JSON.parse(row.schedule_ids),
+        syncConfig: JSON.parse(row.sync_config || '{}'),
+        createdAt: row.created_at
+    };
+}
+
+// The signing secret is only ever returned when the webhook is created
+function serializeWebhook(row, { includeSecret = false } = {}) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: JSON.parse(row.events),
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        ...(includeSecret ? { secret: row.secret } : {})
+    };
+}
+
+module.exports = { createApiRoutes, serializeOverride };
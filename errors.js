@@ -0,0 +1,13 @@
+// ERRORS
+// A ValidationError means the request can't be carried out as given: bad input, or
+// a record in a state that doesn't allow it. Its message is meant for the user;
+// slash commands show it and the REST API answers 400 with it. Any other error is
+// a failure on our side.
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
+module.exports = { ValidationError };
@@ -0,0 +1,382 @@
+const { DateTime, Duration, IANAZone } = require('luxon');
+
+// ICALENDAR (RFC 5545) RENDERING
+// Events carry real Date instants; they are written as local times with a TZID and
+// a matching VTIMEZONE, so calendar apps show handoffs at the schedule's wall-clock time.
+
+function renderCalendar({ name, timezone = 'UTC', events = [], now = new Date() }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Rotationpress//On-Call Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${timezone}`
+    ];
+
+    // One VTIMEZONE per zone used, covering the span of the events
+    const zones = new Set([timezone, ...events.map(event => event.timezone || timezone)]);
+    const starts = events.map(event => event.start.getTime());
+    const ends = events.map(event => event.end.getTime());
+    const from = new Date(Math.min(now.getTime(), ...starts));
+    const to = new Date(Math.max(now.getTime(), ...ends));
+    for (const zone of zones) {
+        if (zone !== 'UTC') lines.push(...buildVTimezone(zone, from, to));
+    }
+
+    const stamp = formatUtc(now);
+    for (const event of events) {
+        const zone = event.timezone || timezone;
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            formatDateProperty('DTSTART', event.start, zone),
+            formatDateProperty('DTEND', event.end, zone),
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function formatDateProperty(property, date, zone) {
+    if (zone === 'UTC') return `${property}:${formatUtc(date)}`;
+    return `${property};TZID=${zone}:${DateTime.fromJSDate(date).setZone(zone).toFormat("yyyyMMdd'T'HHmmss")}`;
+}
+
+function formatUtc(date) {
+    return DateTime.fromJSDate(date).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+// Spell out every offset change in the window as its own observance
+function buildVTimezone(zone, from, to) {
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`];
+    let cursor = DateTime.fromJSDate(from).setZone(zone).startOf('year');
+    const end = DateTime.fromJSDate(to).setZone(zone).endOf('year');
+    let previousOffset = cursor.minus({ days: 1 }).offset;
+    const transitions = [];
+
+    for (; cursor < end; cursor = cursor.plus({ days: 1 })) {
+        if (cursor.offset === previousOffset) continue;
+
+        // Narrow the change down to the minute within the previous day
+        let low = cursor.minus({ days: 1 }).toMillis();
+        let high = cursor.toMillis();
+        while (high - low > 60000) {
+            const mid = low + Math.floor((high - low) / 120000) * 60000;
+            if (DateTime.fromMillis(mid, { zone }).offset === previousOffset) low = mid;
+            else high = mid;
+        }
+        transitions.push({ at: high, from: previousOffset, to: cursor.offset });
+        previousOffset = cursor.offset;
+    }
+
+    if (transitions.length === 0) {
+        // Zones without DST still need one observance
+        const offset = formatOffset(previousOffset);
+        lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+    }
+
+    for (const transition of transitions) {
+        // DTSTART is the local time just before the change, in the old offset
+        const localStart = DateTime.fromMillis(transition.at, { zone: 'UTC' }).plus({ minutes: transition.from });
+        const kind = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+        lines.push(
+            `BEGIN:${kind}`,
+            `DTSTART:${localStart.toFormat("yyyyMMdd'T'HHmmss")}`,
+            `TZOFFSETFROM:${formatOffset(transition.from)}`,
+            `TZOFFSETTO:${formatOffset(transition.to)}`,
+            `END:${kind}`
+        );
+    }
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+function escapeText(text = '') {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a single space
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// ICALENDAR PARSING
+// Enough of RFC 5545 to read rotation calendars: VEVENTs with TZID/UTC/floating and
+// all-day times, DTEND or DURATION, RRULE, RDATE, EXDATE and moved or cancelled
+// instances (RECURRENCE-ID). Floating times use the calendar's X-WR-TIMEZONE.
+const WEEKDAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+const MAX_RULE_PERIODS = 50000;
+
+function parseCalendar(text) {
+    const calendar = { timezone: null, events: [] };
+    let event = null;
+
+    for (const line of unfoldLines(text)) {
+        const property = parseProperty(line);
+        if (!property) continue;
+        const { name, params, value } = property;
+
+        if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+            event = { attendees: [], exdates: [], rdates: [] };
+        } else if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+            if (event) calendar.events.push(event);
+            event = null;
+        } else if (!event) {
+            if (name === 'X-WR-TIMEZONE') calendar.timezone = value.trim();
+        } else if (name === 'ATTENDEE') {
+            event.attendees.push({
+                email: value.replace(/^mailto:/i, '').trim() || null,
+                name: params.CN || null,
+                role: params.ROLE || null
+            });
+        } else if (name === 'EXDATE' || name === 'RDATE') {
+            if (params.VALUE === 'PERIOD') continue;
+            value.split(',').forEach(part => event[name === 'EXDATE' ? 'exdates' : 'rdates'].push({ value: part, params }));
+        } else if (['DTSTART', 'DTEND', 'RECURRENCE-ID'].includes(name)) {
+            event[name] = { value, params };
+        } else {
+            event[name] = name === 'SUMMARY' || name === 'DESCRIPTION' ? unescapeText(value) : value;
+        }
+    }
+
+    return calendar;
+}
+
+// Occurrences overlapping [from, until], sorted by start, as plain Dates
+function expandEvents(calendar, { from, until, timezone = 'UTC', limit = 500 }) {
+    const zone = calendar.timezone && IANAZone.isValidZone(calendar.timezone) ? calendar.timezone : timezone;
+    const events = calendar.events.filter(event => event.DTSTART);
+
+    // Moved or cancelled instances replace the occurrence they point at
+    const replaced = new Set(events
+        .filter(event => event['RECURRENCE-ID'])
+        .map(event => `${event.UID}|${parseDate(event['RECURRENCE-ID'], zone).toMillis()}`));
+    const occurrences = [];
+
+    for (const event of events) {
+        const start = parseDate(event.DTSTART, zone);
+        const duration = getEventDuration(event, start, zone);
+        const starts = event.RRULE && !event['RECURRENCE-ID']
+            ? [...expandRule(start, parseRule(event.RRULE, start.zone), DateTime.fromJSDate(until))]
+            : [start];
+        event.rdates.forEach(rdate => starts.push(parseDate(rdate, zone)));
+
+        const excluded = new Set(event.exdates.map(exdate => parseDate(exdate, zone).toMillis()));
+        for (const occurrenceStart of starts) {
+            const key = `${event.UID}|${occurrenceStart.toMillis()}`;
+            if (excluded.has(occurrenceStart.toMillis())) continue;
+            if (!event['RECURRENCE-ID'] && replaced.has(key)) continue;
+            if ((event.STATUS || '').toUpperCase() === 'CANCELLED') continue;
+
+            const occurrenceEnd = occurrenceStart.plus(duration);
+            if (occurrenceEnd.toJSDate() <= from || occurrenceStart.toJSDate() > until) continue;
+
+            occurrences.push({
+                uid: event.UID,
+                summary: event.SUMMARY || '',
+                attendees: event.attendees,
+                start: occurrenceStart.toJSDate(),
+                end: occurrenceEnd.toJSDate()
+            });
+        }
+    }
+
+    return occurrences.sort((a, b) => a.start - b.start).slice(0, limit);
+}
+
+function unfoldLines(text) {
+    return String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+}
+
+// NAME;PARAM=a;PARAM="b:c":value -> { name, params, value }
+function parseProperty(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    rawParams.forEach(param => {
+        const [key, ...rest] = param.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function unescapeText(text) {
+    return text.replace(/\\([\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+// DATE, UTC, TZID and floating values as zoned DateTimes
+function parseDate({ value, params = {} }, zone) {
+    const trimmed = value.trim();
+    if (params.VALUE === 'DATE' || /^\d{8}$/.test(trimmed)) {
+        return DateTime.fromFormat(trimmed.slice(0, 8), 'yyyyMMdd', { zone });
+    }
+    if (trimmed.endsWith('Z')) {
+        return DateTime.fromFormat(trimmed, "yyyyMMdd'T'HHmmss'Z'", { zone: 'UTC' });
+    }
+
+    const tzid = params.TZID && IANAZone.isValidZone(params.TZID) ? params.TZID : zone;
+    return DateTime.fromFormat(trimmed, "yyyyMMdd'T'HHmmss", { zone: tzid });
+}
+
+// Nominal length, so a weekly 09:00-09:00 shift stays 09:00-09:00 across DST changes
+function getEventDuration(event, start, zone) {
+    if (event.DURATION) return Duration.fromISO(event.DURATION.trim());
+    if (event.DTEND) return parseDate(event.DTEND, zone).setZone(start.zone).diff(start, ['days', 'hours', 'minutes', 'seconds']);
+
+    const isAllDay = event.DTSTART.params.VALUE === 'DATE' || /^\d{8}$/.test(event.DTSTART.value.trim());
+    return Duration.fromObject(isAllDay ? { days: 1 } : {});
+}
+
+function parseRule(rrule, zone) {
+    const parts = Object.fromEntries(rrule.split(';').map(part => {
+        const [key, value = ''] = part.split('=');
+        return [key.toUpperCase(), value.toUpperCase()];
+    }));
+    const list = key => (parts[key] ? parts[key].split(',').filter(Boolean) : []);
+
+    return {
+        freq: parts.FREQ,
+        interval: Math.max(parseInt(parts.INTERVAL || '1'), 1),
+        count: parts.COUNT ? parseInt(parts.COUNT) : Infinity,
+        until: parts.UNTIL ? parseDate({ value: parts.UNTIL }, zone).endOf(/^\d{8}$/.test(parts.UNTIL) ? 'day' : 'second') : null,
+        weekStart: WEEKDAYS[parts.WKST] || 1,
+        byDay: list('BYDAY').map(day => {
+            const match = day.match(/^([+-]?\d+)?(MO|TU|WE|TH|FR|SA|SU)$/);
+            return match ? { ordinal: match[1] ? parseInt(match[1]) : null, weekday: WEEKDAYS[match[2]] } : null;
+        }).filter(Boolean),
+        byMonthDay: list('BYMONTHDAY').map(Number),
+        byMonth: list('BYMONTH').map(Number)
+    };
+}
+
+// Occurrence starts in order, from DTSTART up to `until`, honouring COUNT and UNTIL
+function* expandRule(start, rule, until) {
+    const units = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' };
+    if (!units[rule.freq]) {
+        yield start;
+        return;
+    }
+
+    let emitted = 0;
+    for (let period = 0; period < MAX_RULE_PERIODS; period++) {
+        const periodStart = getPeriodStart(start, rule, period * rule.interval);
+        if (periodStart > until || (rule.until && periodStart > rule.until)) return;
+
+        const candidates = getPeriodCandidates(start, rule, periodStart)
+            .filter(candidate => candidate >= start)
+            .filter(candidate => rule.byMonth.length === 0 || rule.byMonth.includes(candidate.month))
+            .sort((a, b) => a - b);
+
+        for (const candidate of candidates) {
+            if (candidate > until || (rule.until && candidate > rule.until)) return;
+            yield candidate;
+            if (++emitted >= rule.count) return;
+        }
+    }
+}
+
+function getPeriodStart(start, rule, offset) {
+    const day = start.startOf('day');
+    switch (rule.freq) {
+    case 'DAILY':
+        return day.plus({ days: offset });
+    case 'WEEKLY':
+        return day.minus({ days: (start.weekday - rule.weekStart + 7) % 7 }).plus({ weeks: offset });
+    case 'MONTHLY':
+        return start.startOf('month').plus({ months: offset });
+    default:
+        return start.startOf('year').plus({ years: offset });
+    }
+}
+
+function getPeriodCandidates(start, rule, periodStart) {
+    const at = day => day.set({ hour: start.hour, minute: start.minute, second: start.second });
+
+    switch (rule.freq) {
+    case 'DAILY': {
+        const matchesDay = rule.byDay.length === 0 || rule.byDay.some(day => day.weekday === periodStart.weekday);
+        const matchesMonthDay = rule.byMonthDay.length === 0 || getMonthDays(periodStart, { byMonthDay: rule.byMonthDay }).includes(periodStart.day);
+        return matchesDay && matchesMonthDay ? [at(periodStart)] : [];
+    }
+    case 'WEEKLY': {
+        const weekdays = rule.byDay.length ? rule.byDay.map(day => day.weekday) : [start.weekday];
+        return weekdays.map(weekday => at(periodStart.plus({ days: (weekday - rule.weekStart + 7) % 7 })));
+    }
+    case 'MONTHLY':
+        return getMonthDays(periodStart, { ...rule, defaultDay: start.day }).map(day => at(periodStart.set({ day })));
+    default: {
+        const months = rule.byMonth.length ? rule.byMonth : [start.month];
+        return months.flatMap(month => {
+            const monthStart = periodStart.set({ month });
+            return getMonthDays(monthStart, { ...rule, defaultDay: start.day }).map(day => at(monthStart.set({ day })));
+        });
+    }
+    }
+}
+
+// Days of the month matching BYMONTHDAY and BYDAY (e.g. 1MO, -1FR), or the DTSTART day
+function getMonthDays(monthStart, { byMonthDay = [], byDay = [], defaultDay = null }) {
+    const daysInMonth = monthStart.daysInMonth;
+    const all = Array.from({ length: daysInMonth }, (_, i) => i + 1);
+
+    let days = byMonthDay.length
+        ? byMonthDay.map(day => (day > 0 ? day : daysInMonth + day + 1)).filter(day => day >= 1 && day <= daysInMonth)
+        : null;
+
+    if (byDay.length) {
+        const matching = byDay.flatMap(({ ordinal, weekday }) => {
+            const candidates = all.filter(day => monthStart.set({ day }).weekday === weekday);
+            if (!ordinal) return candidates;
+            const picked = ordinal > 0 ? candidates[ordinal - 1] : candidates[candidates.length + ordinal];
+            return picked ? [picked] : [];
+        });
+        days = days ? days.filter(day => matching.includes(day)) : matching;
+    }
+
+    if (!days) days = defaultDay && defaultDay <= daysInMonth ? [defaultDay] : [];
+    return [...new Set(days)];
+}
+
+module.exports = { renderCalendar, parseCalendar, expandEvents, escapeText, foldLine };
@@ -0,0 +1,477 @@
+// Schema migrations, applied in order at startup and recorded in schema_migrations.
+// Databases from before versioning already have some of these tables and columns,
+// so every step must be safe to re-run: CREATE TABLE IF NOT EXISTS and addColumn.
+// Never edit a migration that has shipped; add a new one instead. SQL is written
+// for SQLite and translated by the storage backend (see storage/).
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'Initial schema',
+        up: async schema => {
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS schedules (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    type TEXT NOT NULL,
+                    frequency TEXT NOT NULL,
+                    members TEXT,
+                    current_index INTEGER DEFAULT 0,
+                    integration_config TEXT,
+                    custom_interval TEXT,
+                    timezone TEXT DEFAULT 'UTC',
+                    rotation_start_time TEXT DEFAULT '09:00',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    workspace_id TEXT NOT NULL
+                )
+            `);
+
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS user_groups (
+                    id TEXT PRIMARY KEY,
+                    slack_group_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    workspace_id TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS schedule_mappings (
+                    id TEXT PRIMARY KEY,
+                    user_group_id TEXT NOT NULL,
+                    schedule_ids TEXT NOT NULL,
+                    sync_config TEXT,
+                    workspace_id TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_group_id) REFERENCES user_groups (id)
+                )
+            `);
+
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS overrides (
+                    id TEXT PRIMARY KEY,
+                    schedule_id TEXT NOT NULL,
+                    original_user TEXT,
+                    replacement_user TEXT NOT NULL,
+                    start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    end_time DATETIME NOT NULL,
+                    duration_value INTEGER NOT NULL,
+                    duration_unit TEXT NOT NULL,
+                    timezone TEXT DEFAULT 'UTC',
+                    reason TEXT,
+                    created_by TEXT NOT NULL,
+                    workspace_id TEXT NOT NULL,
+                    FOREIGN KEY (schedule_id) REFERENCES schedules (id)
+                )
+            `);
+
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS sync_logs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    mapping_id TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    users_synced INTEGER,
+                    error_message TEXT,
+                    synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (mapping_id) REFERENCES schedule_mappings (id)
+                )
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'Weekly and monthly handoff days',
+        up: async schema => {
+            await schema.addColumn('schedules', 'rotation_weekday', 'INTEGER');
+            await schema.addColumn('schedules', 'rotation_month_day', 'INTEGER');
+        }
+    },
+    {
+        version: 3,
+        name: 'Rotation start date and starting member',
+        up: async schema => {
+            await schema.addColumn('schedules', 'rotation_anchor', 'DATETIME');
+            await schema.addColumn('schedules', 'starting_member', 'TEXT');
+        }
+    },
+    {
+        version: 4,
+        name: 'Override status and history',
+        up: async schema => {
+            await schema.addColumn('overrides', 'status', "TEXT DEFAULT 'active'");
+            await schema.addColumn('overrides', 'ended_at', 'DATETIME');
+            await schema.addColumn('overrides', 'cancelled_by', 'TEXT');
+        }
+    },
+    {
+        version: 5,
+        name: 'Shift swap requests',
+        up: async schema => {
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS swap_requests (
+                    id TEXT PRIMARY KEY,
+                    schedule_id TEXT NOT NULL,
+                    requester TEXT NOT NULL,
+                    colleague TEXT NOT NULL,
+                    shift_start DATETIME NOT NULL,
+                    shift_end DATETIME NOT NULL,
+                    return_start DATETIME,
+                    return_end DATETIME,
+                    status TEXT DEFAULT 'pending',
+                    message_channel TEXT,
+                    message_ts TEXT,
+                    expires_at DATETIME NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    resolved_at DATETIME,
+                    workspace_id TEXT NOT NULL,
+                    FOREIGN KEY (schedule_id) REFERENCES schedules (id)
+                )
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'Handoff notifications',
+        up: async schema => {
+            await schema.addColumn('schedules', 'notification_channel', 'TEXT');
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS oncall_state (
+                    schedule_id TEXT PRIMARY KEY,
+                    user_id TEXT,
+                    override_id TEXT,
+                    changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (schedule_id) REFERENCES schedules (id)
+                )
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: 'Pre-shift reminders',
+        up: async schema => {
+            await schema.addColumn('schedules', 'reminder_lead_times', 'TEXT');
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS reminder_preferences (
+                    user_id TEXT NOT NULL,
+                    workspace_id TEXT NOT NULL,
+                    lead_times TEXT NOT NULL,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (workspace_id, user_id)
+                )
+            `);
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS sent_reminders (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    schedule_id TEXT NOT NULL,
+                    user_id TEXT NOT NULL,
+                    shift_start DATETIME NOT NULL,
+                    lead_time TEXT NOT NULL,
+                    sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (schedule_id, user_id, shift_start, lead_time),
+                    FOREIGN KEY (schedule_id) REFERENCES schedules (id)
+                )
+            `);
+        }
+    },
+    {
+        version: 8,
+        name: 'External user identities',
+        up: async schema => {
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS user_identities (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    workspace_id TEXT NOT NULL,
+                    provider TEXT NOT NULL,
+                    external_id TEXT NOT NULL,
+                    email TEXT,
+                    slack_user_id TEXT,
+                    source TEXT DEFAULT 'auto',
+                    updated_by TEXT,
+                    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (workspace_id, provider, external_id)
+                )
+            `);
+        }
+    },
+    {
+        version: 9,
+        name: 'iCal feed tokens',
+        up: async schema => {
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS calendar_feeds (
+                    token TEXT PRIMARY KEY,
+                    workspace_id TEXT NOT NULL,
+                    feed_type TEXT NOT NULL,
+                    target_id TEXT NOT NULL,
+                    created_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (workspace_id, feed_type, target_id)
+                )
+            `);
+        }
+    },
+    {
+        version: 10,
+        name: 'REST API keys',
+        up: async schema => {
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS api_keys (
+                    id TEXT PRIMARY KEY,
+                    workspace_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    key_hash TEXT NOT NULL UNIQUE,
+                    key_prefix TEXT NOT NULL,
+                    created_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_used_at DATETIME,
+                    revoked_at DATETIME
+                )
+            `);
+        }
+    },
+    {
+        version: 11,
+        name: 'Outbound webhooks',
+        up: async schema => {
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS webhooks (
+                    id TEXT PRIMARY KEY,
+                    workspace_id TEXT NOT NULL,
+                    url TEXT NOT NULL,
+                    secret TEXT NOT NULL,
+                    events TEXT NOT NULL,
+                    created_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    disabled_at DATETIME
+                )
+            `);
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                    id TEXT PRIMARY KEY,
+                    webhook_id TEXT NOT NULL,
+                    event_type TEXT NOT NULL,
+                    event_id TEXT NOT NULL,
+                    payload TEXT NOT NULL,
+                    status TEXT DEFAULT 'pending',
+                    attempts INTEGER DEFAULT 0,
+                    last_status_code INTEGER,
+                    last_error TEXT,
+                    next_attempt_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    delivered_at DATETIME,
+                    FOREIGN KEY (webhook_id) REFERENCES webhooks (id)
+                )
+            `);
+        }
+    },
+    {
+        version: 12,
+        name: 'Schedule archiving',
+        up: async schema => {
+            await schema.addColumn('schedules', 'archived_at', 'DATETIME');
+            await schema.addColumn('schedules', 'archived_by', 'TEXT');
+        }
+    },
+    {
+        version: 13,
+        name: 'OAuth installations',
+        up: async schema => {
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS installations (
+                    workspace_id TEXT PRIMARY KEY,
+                    enterprise_id TEXT,
+                    bot_token TEXT NOT NULL,
+                    bot_user_id TEXT,
+                    installed_by TEXT,
+                    installation TEXT NOT NULL,
+                    installed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        }
+    },
+    {
+        version: 14,
+        name: 'Cron job claims',
+        up: async schema => {
+            // One row per cron job tick, inserted by the instance that runs it
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS cron_runs (
+                    job TEXT NOT NULL,
+                    run_key TEXT NOT NULL,
+                    claimed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (job, run_key)
+                )
+            `);
+        }
+    },
+    {
+        version: 15,
+        name: 'Audit log',
+        up: async schema => {
+            // schedule_ids lists every schedule an event belongs to, so mapping and
+            // sync events show up in the history of each schedule they feed from
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS audit_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    workspace_id TEXT NOT NULL,
+                    schedule_ids TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    entity_id TEXT,
+                    actor TEXT,
+                    source TEXT NOT NULL,
+                    before_state TEXT,
+                    after_state TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await schema.run(`CREATE INDEX IF NOT EXISTS audit_events_workspace ON audit_events (workspace_id, id)`);
+        }
+    },
+    {
+        version: 16,
+        name: 'Diff-based user group sync',
+        up: async schema => {
+            // JSON lists of Slack user IDs; NULL on rows logged before diffing
+            await schema.addColumn('sync_logs', 'users_added', 'TEXT');
+            await schema.addColumn('sync_logs', 'users_removed', 'TEXT');
+            // Set while the bot keeps a group disabled because nobody is on call
+            await schema.addColumn('user_groups', 'disabled_at', 'DATETIME');
+        }
+    },
+    {
+        version: 17,
+        name: 'Last known on-call cache',
+        up: async schema => {
+            // The provider's latest answer per schedule. failing_since is set while
+            // the provider can't be reached and user_id is being served stale.
+            await schema.run(`
+                CREATE TABLE IF NOT EXISTS oncall_cache (
+                    schedule_id TEXT PRIMARY KEY,
+                    user_id TEXT,
+                    fetched_at DATETIME,
+                    failing_since DATETIME,
+                    last_error TEXT
+                )
+            `);
+        }
+    }
+];
+
+// What each migration's up() gets: the storage (inside its transaction) plus helpers
+function createSchema(storage) {
+    return {
+        run: (sql, params = []) => storage.run(sql, params),
+        all: (sql, params = []) => storage.all(sql, params),
+        // Neither backend has a portable ADD COLUMN IF NOT EXISTS
+        addColumn: async (table, column, definition) => {
+            const columns = await storage.getColumns(table);
+            if (columns.includes(column)) return false;
+
+            await storage.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            return true;
+        }
+    };
+}
+
+async function getAppliedMigrations(storage) {
+    await storage.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    return storage.all(`SELECT * FROM schema_migrations ORDER BY version`);
+}
+
+// Applies pending migrations one transaction each; a failure rolls that migration
+// back and stops, leaving earlier ones applied. The version row is claimed first, so
+// when several instances start together only one of them runs each migration.
+async function migrate(storage, { log = console.log } = {}) {
+    const applied = new Set((await getAppliedMigrations(storage)).map(row => row.version));
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+    const unknown = [...applied].filter(version => version > latest);
+    if (unknown.length > 0) {
+        throw new Error(`Database is at schema version ${Math.max(...unknown)}, newer than this release (${latest})`);
+    }
+
+    const ran = [];
+    for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+
+        try {
+            const claimed = await storage.transaction(async tx => {
+                const { changes } = await tx.run(
+                    `INSERT OR IGNORE INTO schema_migrations (version, name) VALUES (?, ?)`,
+                    [migration.version, migration.name]
+                );
+                if (changes === 0) return false;
+
+                await migration.up(createSchema(tx));
+                return true;
+            });
+            if (!claimed) continue;
+        } catch (error) {
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+
+        log(`🗄️ Applied migration ${migration.version}: ${migration.name}`);
+        ran.push(migration);
+    }
+    return ran;
+}
+
+async function getMigrationStatus(storage) {
+    const applied = new Map((await getAppliedMigrations(storage)).map(row => [row.version, row]));
+
+    return MIGRATIONS.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+}
+
+module.exports = { MIGRATIONS, migrate, getMigrationStatus };
+
+// node migrations.js [up|status]: migrate or inspect the database configured by
+// DATABASE_URL without starting the Slack app. status exits with 1 while
+// migrations are pending.
+if (require.main === module) {
+    require('dotenv').config();
+    const { createStorage } = require('./storage');
+    const command = process.argv[2] || 'status';
+    const storage = createStorage();
+
+    const run = async () => {
+        if (command === 'up') {
+            const ran = await migrate(storage);
+            console.log(ran.length > 0 ? `✅ Applied ${ran.length} migration(s)` : '✅ Database is up to date');
+            return 0;
+        }
+        if (command === 'status') {
+            const status = await getMigrationStatus(storage);
+            for (const migration of status) {
+                console.log(`${migration.appliedAt ? '✅' : '⏳'} ${String(migration.version).padStart(3)} ${migration.name}${migration.appliedAt ? ` (applied ${migration.appliedAt})` : ''}`);
+            }
+            const pending = status.filter(migration => !migration.appliedAt).length;
+            console.log(pending > 0 ? `\n${pending} pending, run \`npm run migrate\`` : '\nDatabase is up to date');
+            return pending > 0 ? 1 : 0;
+        }
+
+        console.error('Usage: node migrations.js [up|status]');
+        return 2;
+    };
+
+    run()
+        .catch(error => {
+            console.error('❌', error.message);
+            return 1;
+        })
+        .then(async code => {
+            await storage.close();
+            process.exit(code);
+        });
+}
@@ -0,0 +1,102 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { ValidationError } = require('./errors');
+
+// OUTBOUND REQUESTS
+// URLs that users type in (calendar feeds, webhook targets) are fetched by the server,
+// so they must not reach into its own network: only https is allowed, and hosts that
+// are, or resolve to, loopback, private, link-local or otherwise reserved addresses
+// are refused. The address check runs when the connection is made, so a DNS answer
+// that changes after validation can't slip through. OUTBOUND_ALLOWED_HOSTS lists
+// hosts (comma separated) that may be private, e.g. an intranet calendar server.
+
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+class OutboundUrlError extends ValidationError {
+    constructor(message) {
+        super(message);
+        this.code = 'outbound_url_blocked';
+    }
+}
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function getAllowedHosts() {
+    return (process.env.OUTBOUND_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// Throws OutboundUrlError unless url is an https URL whose host isn't a private
+// address. Hostnames are only checked against the allowlist here; what they resolve
+// to is checked by publicHttpsAgent when connecting.
+function validateOutboundUrl(url, label = 'URL') {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new OutboundUrlError(`${label} is not a valid URL`);
+    }
+
+    if (parsed.protocol !== 'https:') {
+        throw new OutboundUrlError(`${label} must use https`);
+    }
+    if (parsed.username || parsed.password) {
+        throw new OutboundUrlError(`${label} must not contain credentials`);
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (getAllowedHosts().includes(host)) return parsed;
+
+    if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+        throw new OutboundUrlError(`${label} must not point to a private or local address`);
+    }
+    return parsed;
+}
+
+// dns.lookup that refuses private answers unless the host is allowlisted. Agents call
+// it with all: true (happy eyeballs) or without, so both callback shapes are kept.
+function publicLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const allowed = getAllowedHosts().includes(hostname.toLowerCase());
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked && !allowed) {
+            return callback(new OutboundUrlError(`${hostname} resolves to a private or local address (${blocked.address})`));
+        }
+
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup, keepAlive: true });
+
+// axios options for requests to user-supplied URLs. Redirects are not followed, a
+// public URL could otherwise redirect to a private one.
+function getOutboundRequestOptions() {
+    return { httpsAgent: publicHttpsAgent, maxRedirects: 0 };
+}
+
+module.exports = { OutboundUrlError, validateOutboundUrl, isPrivateAddress, publicLookup, getOutboundRequestOptions };
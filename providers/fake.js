@@ -0,0 +1,89 @@
+const fs = require('fs');
+const { ScheduleProvider } = require('./index');
+const { ValidationError } = require('../errors');
+
+// Reads schedules from a local JSON fixture so development and tests get the same
+// on-call answers every time, without touching real user groups with made-up IDs.
+// A fixture schedule either lists explicit `shifts` or cycles `members` every
+// `shiftHours` from `start`. Users are Slack IDs, or emails resolved like any
+// external identity.
+class FakeProvider extends ScheduleProvider {
+    get label() {
+        return 'Fake Provider (development)';
+    }
+
+    async getCurrentOnCall(schedule, context = {}) {
+        const [shift] = await this.getUpcomingShifts(schedule, { count: 1, context });
+        return shift && shift.start <= new Date() ? shift.userId : null;
+    }
+
+    async getUpcomingShifts(schedule, { from = new Date(), until = null, count = 10, context = {} } = {}) {
+        const config = JSON.parse(schedule.integration_config || '{}');
+        const fixture = this.getFixtureSchedule(config.scheduleId);
+        const shifts = [];
+
+        for (const shift of this.expandShifts(fixture, from)) {
+            if (shifts.length >= count || (until && shift.start > until)) break;
+            shifts.push({
+                scheduleId: schedule.id,
+                userId: await this.resolveUser(schedule, shift.user, context),
+                start: shift.start,
+                end: shift.end
+            });
+        }
+        return shifts;
+    }
+
+    validateConfig(config = {}) {
+        this.getFixtureSchedule(config.scheduleId);
+    }
+
+    async listSchedules() {
+        const { schedules = {} } = this.loadFixture();
+        return Object.entries(schedules).map(([id, schedule]) => ({ id, name: schedule.name || id }));
+    }
+
+    *expandShifts(fixture, from) {
+        if (Array.isArray(fixture.shifts)) {
+            const shifts = fixture.shifts
+                .map(shift => ({ user: shift.user, start: new Date(shift.start), end: new Date(shift.end) }))
+                .filter(shift => shift.end > from)
+                .sort((a, b) => a.start - b.start);
+            yield* shifts;
+            return;
+        }
+
+        const members = fixture.members || [];
+        if (members.length === 0) return;
+
+        const start = new Date(fixture.start || '2024-01-01T00:00:00Z').getTime();
+        const shiftMs = (fixture.shiftHours || 24) * 3600000;
+        for (let i = Math.max(Math.floor((from.getTime() - start) / shiftMs), 0); ; i++) {
+            yield {
+                user: members[i % members.length],
+                start: new Date(start + i * shiftMs),
+                end: new Date(start + (i + 1) * shiftMs)
+            };
+        }
+    }
+
+    async resolveUser(schedule, user, context) {
+        if (!user || !user.includes('@')) return user || null;
+        return this.bot.resolveExternalIdentity(schedule.workspace_id, 'fake', { externalId: user, email: user }, context);
+    }
+
+    getFixtureSchedule(scheduleId) {
+        const { schedules = {} } = this.loadFixture();
+        if (!scheduleId || !schedules[scheduleId]) {
+            throw new ValidationError(`Fake schedule "${scheduleId}" is not in the fixture (${Object.keys(schedules).join(', ') || 'none defined'})`);
+        }
+        return schedules[scheduleId];
+    }
+
+    // Re-read on every call so fixture edits apply without a restart
+    loadFixture() {
+        return JSON.parse(fs.readFileSync(process.env.FAKE_PROVIDER_FIXTURE, 'utf8'));
+    }
+}
+
+module.exports = FakeProvider;
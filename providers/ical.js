@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { ScheduleProvider } = require('./index');
+const { parseCalendar, expandEvents } = require('../ical');
+const { getResilientClient } = require('../resilience');
+const { validateOutboundUrl, getOutboundRequestOptions } = require('../outbound');
+const { ValidationError } = require('../errors');
+
+// Rotations kept in a shared calendar. The schedule's external ID is the calendar's
+// URL (https or webcal, on a public host, see outbound.js) or a file under
+// ICAL_IMPORT_DIR. Whoever an event is for comes from its first attendee, else a
+// Slack mention, email or name in the summary; names are mapped to Slack with
+// /map-user ical.
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const http = getResilientClient('Calendar feeds', { timeoutMs: 15000 });
+
+class ICalProvider extends ScheduleProvider {
+    constructor(bot) {
+        super(bot);
+        this.cache = new Map();
+    }
+
+    get label() {
+        return 'iCalendar (URL or file)';
+    }
+
+    get remote() {
+        return true;
+    }
+
+    async getCurrentOnCall(schedule, context = {}) {
+        const now = new Date();
+        const occurrences = await this.getOccurrences(schedule, now, now);
+
+        // Overlapping events: the one that started last is the most specific
+        const current = occurrences
+            .filter(occurrence => occurrence.start <= now)
+            .sort((a, b) => b.start - a.start)[0];
+        return current ? await this.resolveUser(schedule, current, context) : null;
+    }
+
+    async getUpcomingShifts(schedule, { from = new Date(), until = null, count = 10, context = {} } = {}) {
+        const occurrences = await this.getOccurrences(schedule, from, until || new Date(from.getTime() + 30 * 86400000), count);
+        const shifts = [];
+
+        for (const occurrence of occurrences) {
+            shifts.push({
+                scheduleId: schedule.id,
+                userId: await this.resolveUser(schedule, occurrence, context),
+                start: occurrence.start,
+                end: occurrence.end
+            });
+        }
+        return shifts;
+    }
+
+    validateConfig(config = {}) {
+        if (!config.scheduleId) {
+            throw new ValidationError('iCal schedules need a calendar URL or file');
+        }
+        if (this.isUrl(config.scheduleId)) {
+            this.getFeedUrl(config.scheduleId);
+        } else {
+            this.getFilePath(config.scheduleId);
+        }
+    }
+
+    // Only local files can be listed; URLs are pasted in directly
+    async listSchedules() {
+        if (!process.env.ICAL_IMPORT_DIR) return [];
+
+        return fs.readdirSync(process.env.ICAL_IMPORT_DIR)
+            .filter(file => file.toLowerCase().endsWith('.ics'))
+            .map(file => ({ id: file, name: path.basename(file, path.extname(file)) }));
+    }
+
+    async getOccurrences(schedule, from, until, limit = 500) {
+        const config = JSON.parse(schedule.integration_config || '{}');
+        const calendar = await this.loadCalendar(config.scheduleId);
+        return expandEvents(calendar, { from, until, timezone: this.bot.resolveTimezone(schedule.timezone), limit });
+    }
+
+    async resolveUser(schedule, occurrence, context = {}) {
+        const resolve = (externalId, email) => this.bot.resolveExternalIdentity(schedule.workspace_id, 'ical', { externalId, email }, context);
+
+        const attendee = occurrence.attendees.find(candidate => candidate.email && candidate.role !== 'NON-PARTICIPANT');
+        if (attendee) return resolve(attendee.email, attendee.email);
+
+        const summary = occurrence.summary.trim();
+        const mention = summary.match(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/);
+        if (mention) return mention[1];
+
+        const email = summary.match(/[^\s<>:;,()]+@[^\s<>:;,()]+\.[a-z]{2,}/i);
+        if (email) return resolve(email[0], email[0]);
+
+        // "On call: Alice Smith" -> "Alice Smith"
+        const name = summary.replace(/^(on[- ]?call|primary|secondary)\s*[:\-–]\s*/i, '').trim();
+        return name ? resolve(name, null) : null;
+    }
+
+    // Feeds are re-read at most every few minutes; sync and reminders ask often
+    async loadCalendar(source) {
+        const cached = this.cache.get(source);
+        if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.calendar;
+
+        const text = this.isUrl(source)
+            ? (await http.get(this.getFeedUrl(source), { responseType: 'text', ...getOutboundRequestOptions() })).data
+            : fs.readFileSync(this.getFilePath(source), 'utf8');
+
+        const calendar = parseCalendar(text);
+        this.cache.set(source, { calendar, loadedAt: Date.now() });
+        return calendar;
+    }
+
+    isUrl(source) {
+        return /^(https?|webcal):\/\//i.test(source);
+    }
+
+    // webcal:// is https:// by another name
+    getFeedUrl(source) {
+        return validateOutboundUrl(source.replace(/^webcal:/i, 'https:'), 'The calendar URL').href;
+    }
+
+    // Local files are opt-in and confined to ICAL_IMPORT_DIR
+    getFilePath(source) {
+        if (!process.env.ICAL_IMPORT_DIR) {
+            throw new ValidationError('iCal sources must be https or webcal URLs (set ICAL_IMPORT_DIR to allow files)');
+        }
+
+        const baseDir = path.resolve(process.env.ICAL_IMPORT_DIR);
+        const filePath = path.resolve(baseDir, source);
+        if (!filePath.startsWith(baseDir + path.sep)) {
+            throw new ValidationError(`iCal file "${source}" is outside ICAL_IMPORT_DIR`);
+        }
+        if (!fs.existsSync(filePath)) {
+            throw new ValidationError(`iCal file "${source}" does not exist`);
+        }
+        return filePath;
+    }
+}
+
+module.exports = ICalProvider;
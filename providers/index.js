@@ -0,0 +1,92 @@
+const { ValidationError } = require('../errors');
+
+// SCHEDULE PROVIDERS
+// Every schedule type is served by a provider registered under that type. A provider
+// answers who is on call now, which shifts are coming up, whether a schedule's
+// integration config is usable, and which external schedules can be linked.
+class ScheduleProvider {
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    // Label shown in the schedule type picker
+    get label() {
+        return this.constructor.name;
+    }
+
+    // True when answers come from a remote service; the bot caches those and asks for
+    // them only as often as it needs to
+    get remote() {
+        return false;
+    }
+
+    // Slack user ID on call right now, or null. Throws when the answer can't be
+    // fetched, so the bot can fall back to the last known on-call instead of nobody
+    async getCurrentOnCall(schedule, context = {}) {
+        return null;
+    }
+
+    // [{ scheduleId, userId, start, end }] for shifts ending after `from`
+    async getUpcomingShifts(schedule, { from = new Date(), until = null, count = 10 } = {}) {
+        return [];
+    }
+
+    // Throws when the schedule's integration config cannot work
+    validateConfig(config = {}) {}
+
+    // [{ id, name }] of schedules that can be linked for this workspace
+    async listSchedules(workspaceId) {
+        return [];
+    }
+}
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    register(type, provider) {
+        this.providers.set(type, provider);
+        return this;
+    }
+
+    has(type) {
+        return this.providers.has(type);
+    }
+
+    get(type) {
+        const provider = this.providers.get(type);
+        if (!provider) {
+            throw new ValidationError(`Unknown schedule type "${type}"`);
+        }
+        return provider;
+    }
+
+    types() {
+        return Array.from(this.providers.keys());
+    }
+}
+
+function createProviderRegistry(bot) {
+    const InternalProvider = require('./internal');
+    const PagerDutyProvider = require('./pagerduty');
+    const OpsGenieProvider = require('./opsgenie');
+    const ICalProvider = require('./ical');
+    const FakeProvider = require('./fake');
+
+    const registry = new ProviderRegistry()
+        .register('internal', new InternalProvider(bot))
+        .register('pagerduty', new PagerDutyProvider(bot))
+        .register('opsgenie', new OpsGenieProvider(bot))
+        .register('ical', new ICalProvider(bot));
+
+    // Deterministic fixture-backed schedules for development and testing, only when
+    // a fixture is configured so production installs never offer made-up schedules
+    if (process.env.FAKE_PROVIDER_FIXTURE) {
+        registry.register('fake', new FakeProvider(bot));
+    }
+
+    return registry;
+}
+
+module.exports = { ScheduleProvider, ProviderRegistry, createProviderRegistry };
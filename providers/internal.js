@@ -0,0 +1,22 @@
+const { ScheduleProvider } = require('./index');
+
+// Rotations managed by the bot itself, driven by the rotation engine in bot.js
+class InternalProvider extends ScheduleProvider {
+    get label() {
+        return 'Internal Rotation';
+    }
+
+    async getCurrentOnCall(schedule) {
+        const members = JSON.parse(schedule.members || '[]');
+        if (members.length === 0) return null;
+
+        const rotationIndex = this.bot.calculateRotationIndexWithTimezone(schedule);
+        return members[rotationIndex];
+    }
+
+    async getUpcomingShifts(schedule, options = {}) {
+        return this.bot.getUpcomingShifts(schedule, options);
+    }
+}
+
+module.exports = InternalProvider;
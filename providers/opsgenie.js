@@ -0,0 +1,111 @@
+const { ScheduleProvider } = require('./index');
+const { getResilientClient } = require('../resilience');
+const { ValidationError } = require('../errors');
+
+const http = getResilientClient('OpsGenie');
+
+class OpsGenieProvider extends ScheduleProvider {
+    get label() {
+        return 'OpsGenie Integration';
+    }
+
+    get remote() {
+        return true;
+    }
+
+    async getCurrentOnCall(schedule, context = {}) {
+        if (!this.isConfigured()) return null;
+
+        const config = JSON.parse(schedule.integration_config || '{}');
+        const { data } = await this.get(config, `/v2/schedules/${encodeURIComponent(config.scheduleId)}/on-calls`, {
+            scheduleIdentifierType: this.getIdentifierType(config.scheduleId),
+            flat: true,
+            date: new Date().toISOString()
+        });
+
+        // With flat=true OpsGenie returns the on-call users' usernames, which are emails
+        const [recipient] = data.data?.onCallRecipients || [];
+        return recipient
+            ? await this.bot.resolveExternalIdentity(schedule.workspace_id, 'opsgenie', { externalId: recipient, email: recipient }, context)
+            : null;
+    }
+
+    async getUpcomingShifts(schedule, { from = new Date(), until = null, count = 10 } = {}) {
+        if (!this.isConfigured()) return [];
+
+        const config = JSON.parse(schedule.integration_config || '{}');
+        const days = Math.max(Math.ceil(((until || new Date(from.getTime() + 30 * 86400000)) - from) / 86400000), 1);
+        const { data } = await this.get(config, `/v2/schedules/${encodeURIComponent(config.scheduleId)}/timeline`, {
+            identifierType: this.getIdentifierType(config.scheduleId),
+            date: from.toISOString(),
+            interval: days,
+            intervalUnit: 'days'
+        });
+
+        const periods = (data.data?.finalTimeline?.rotations || [])
+            .flatMap(rotation => rotation.periods || [])
+            .filter(period => period.recipient && period.recipient.type === 'user' && new Date(period.endDate) > from)
+            .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+            .slice(0, count);
+
+        const shifts = [];
+        for (const period of periods) {
+            const username = period.recipient.name;
+            shifts.push({
+                scheduleId: schedule.id,
+                userId: await this.bot.resolveExternalIdentity(schedule.workspace_id, 'opsgenie', { externalId: username, email: username }),
+                start: new Date(period.startDate),
+                end: new Date(period.endDate)
+            });
+        }
+        return shifts;
+    }
+
+    validateConfig(config = {}) {
+        if (!config.scheduleId) {
+            throw new ValidationError('OpsGenie schedules need an OpsGenie schedule ID or name');
+        }
+        if (config.region && !['us', 'eu'].includes(config.region)) {
+            throw new ValidationError('OpsGenie region must be "us" or "eu"');
+        }
+    }
+
+    async listSchedules() {
+        if (!this.isConfigured()) return [];
+
+        const { data } = await this.get({}, '/v2/schedules');
+        return (data.data || []).map(schedule => ({ id: schedule.id, name: schedule.name }));
+    }
+
+    // Schedules can be referenced by ID or by name
+    getIdentifierType(scheduleId) {
+        return /^[0-9a-f-]{36}$/i.test(scheduleId) ? 'id' : 'name';
+    }
+
+    // OpsGenie hosts EU accounts separately; OPSGENIE_API_URL wins, e.g. for a local mock server
+    getApiUrl(config = {}) {
+        if (process.env.OPSGENIE_API_URL) return process.env.OPSGENIE_API_URL.replace(/\/$/, '');
+        return config.region === 'eu' ? 'https://api.eu.opsgenie.com' : 'https://api.opsgenie.com';
+    }
+
+    isConfigured() {
+        if (process.env.OPSGENIE_TOKEN) return true;
+
+        if (!this.warnedUnconfigured) {
+            console.warn('⚠️ OPSGENIE_TOKEN is not set; OpsGenie schedules resolve to nobody. Use the fake provider for development.');
+            this.warnedUnconfigured = true;
+        }
+        return false;
+    }
+
+    async get(config, endpoint, params = {}) {
+        return http.get(`${this.getApiUrl(config)}${endpoint}`, {
+            params,
+            headers: {
+                'Authorization': `GenieKey ${process.env.OPSGENIE_TOKEN}`
+            }
+        });
+    }
+}
+
+module.exports = OpsGenieProvider;
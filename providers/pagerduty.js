@@ -0,0 +1,142 @@
+const { ScheduleProvider } = require('./index');
+const { getResilientClient } = require('../resilience');
+const { ValidationError } = require('../errors');
+
+const http = getResilientClient('PagerDuty');
+
+// Emails of PagerDuty users change rarely; rendered schedule entries only carry the
+// user ID, so each one is looked up at most once an hour
+const USER_EMAIL_TTL_MS = 60 * 60000;
+
+class PagerDutyProvider extends ScheduleProvider {
+    constructor(bot) {
+        super(bot);
+        this.userEmails = new Map();
+    }
+
+    get label() {
+        return 'PagerDuty Integration';
+    }
+
+    get remote() {
+        return true;
+    }
+
+    async getCurrentOnCall(schedule, context = {}) {
+        if (!this.isConfigured()) return null;
+
+        const config = JSON.parse(schedule.integration_config || '{}');
+        const user = await this.getOnCallUser(config);
+        return user ? await this.bot.resolveExternalIdentity(schedule.workspace_id, 'pagerduty', user, context) : null;
+    }
+
+    async getUpcomingShifts(schedule, { from = new Date(), until = null, count = 10 } = {}) {
+        if (!this.isConfigured()) return [];
+
+        const config = JSON.parse(schedule.integration_config || '{}');
+        const { data } = await this.get(`/schedules/${encodeURIComponent(config.scheduleId)}`, {
+            since: from.toISOString(),
+            until: (until || new Date(from.getTime() + 30 * 86400000)).toISOString()
+        });
+
+        const shifts = [];
+        for (const entry of (data.schedule.final_schedule?.rendered_schedule_entries || []).slice(0, count)) {
+            const email = await this.getUserEmail(entry.user.id);
+            shifts.push({
+                scheduleId: schedule.id,
+                userId: await this.bot.resolveExternalIdentity(schedule.workspace_id, 'pagerduty', { externalId: entry.user.id, email }),
+                start: new Date(entry.start),
+                end: new Date(entry.end)
+            });
+        }
+        return shifts;
+    }
+
+    validateConfig(config = {}) {
+        if (!config.scheduleId) {
+            throw new ValidationError('PagerDuty schedules need a PagerDuty schedule ID');
+        }
+        if (config.escalationLevel != null && !(parseInt(config.escalationLevel) >= 1)) {
+            throw new ValidationError('PagerDuty escalation level must be 1 or higher');
+        }
+    }
+
+    async listSchedules() {
+        if (!this.isConfigured()) return [];
+
+        const schedules = [];
+        for (let offset = 0, more = true; more; offset += 100) {
+            const { data } = await this.get('/schedules', { limit: 100, offset });
+            data.schedules.forEach(schedule => schedules.push({ id: schedule.id, name: schedule.name }));
+            more = data.more;
+        }
+        return schedules;
+    }
+
+    // Who is on call right now: escalation policy on-calls first, falling back to the
+    // schedule's final (rendered) layer for schedules that no escalation policy uses
+    async getOnCallUser(config, at = new Date()) {
+        const until = new Date(at.getTime() + 60000);
+        const { data } = await this.get('/oncalls', {
+            'schedule_ids[]': config.scheduleId,
+            'include[]': 'users',
+            since: at.toISOString(),
+            until: until.toISOString()
+        });
+
+        const level = config.escalationLevel ? parseInt(config.escalationLevel) : null;
+        const [onCall] = (data.oncalls || [])
+            .filter(entry => this.isWindowActive(entry.start, entry.end, at))
+            .filter(entry => !level || entry.escalation_level === level)
+            .sort((a, b) => a.escalation_level - b.escalation_level);
+        if (onCall) return { externalId: onCall.user.id, email: onCall.user.email };
+        if (level) return null;
+
+        const { data: scheduleData } = await this.get(`/schedules/${encodeURIComponent(config.scheduleId)}`, {
+            since: at.toISOString(),
+            until: until.toISOString()
+        });
+        const entry = (scheduleData.schedule.final_schedule?.rendered_schedule_entries || [])
+            .find(candidate => this.isWindowActive(candidate.start, candidate.end, at));
+        if (!entry) return null;
+
+        return { externalId: entry.user.id, email: await this.getUserEmail(entry.user.id) };
+    }
+
+    async getUserEmail(userId) {
+        const cached = this.userEmails.get(userId);
+        if (cached && Date.now() - cached.fetchedAt < USER_EMAIL_TTL_MS) return cached.email;
+
+        const { data } = await this.get(`/users/${encodeURIComponent(userId)}`);
+        this.userEmails.set(userId, { email: data.user.email, fetchedAt: Date.now() });
+        return data.user.email;
+    }
+
+    // Open-ended (null) bounds count as unlimited, as PagerDuty uses for permanent on-calls
+    isWindowActive(start, end, at = new Date()) {
+        return (!start || new Date(start) <= at) && (!end || at < new Date(end));
+    }
+
+    isConfigured() {
+        if (process.env.PAGERDUTY_TOKEN) return true;
+
+        if (!this.warnedUnconfigured) {
+            console.warn('⚠️ PAGERDUTY_TOKEN is not set; PagerDuty schedules resolve to nobody. Use the fake provider for development.');
+            this.warnedUnconfigured = true;
+        }
+        return false;
+    }
+
+    async get(endpoint, params = {}) {
+        const baseUrl = (process.env.PAGERDUTY_API_URL || 'https://api.pagerduty.com').replace(/\/$/, '');
+        return http.get(`${baseUrl}${endpoint}`, {
+            params,
+            headers: {
+                'Authorization': `Token token=${process.env.PAGERDUTY_TOKEN}`,
+                'Accept': 'application/vnd.pagerduty+json;version=2'
+            }
+        });
+    }
+}
+
+module.exports = PagerDutyProvider;
@@ -0,0 +1,170 @@
+const axios = require('axios');
+const { WebClient } = require('@slack/web-api');
+
+// RESILIENCE
+// Calls to schedule providers go through one ResilientClient per service, Slack calls
+// through one per workspace:
+// every request has a timeout, transient failures are retried with exponential
+// backoff (or after the server's Retry-After), and a circuit breaker stops calling a
+// service that keeps failing until it has had time to recover.
+
+class CircuitOpenError extends Error {
+    constructor(name, retryAt) {
+        super(`${name} is failing, calls are paused until ${retryAt.toISOString()}`);
+        this.code = 'circuit_open';
+        this.retryAt = retryAt;
+    }
+}
+
+const TRANSIENT_NETWORK_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_NETWORK'];
+
+// Timeouts, network errors, 429s and 5xx responses may go away on their own; anything
+// else (a bad token, an unknown schedule) fails the same way every time. Handles
+// axios errors and @slack/web-api errors alike.
+function isTransient(error) {
+    switch (error.code) {
+        case 'slack_webapi_rate_limited_error':
+        case 'slack_webapi_request_error':
+            return true;
+        case 'slack_webapi_http_error':
+            return error.statusCode >= 500;
+        case 'slack_webapi_platform_error':
+            return false;
+    }
+    if (error.response) return error.response.status === 429 || error.response.status >= 500;
+    return TRANSIENT_NETWORK_CODES.includes(error.code);
+}
+
+// Milliseconds the server asked us to wait, or null
+function getRetryAfterMs(error) {
+    if (error.retryAfter) return error.retryAfter * 1000;
+
+    const header = error.response?.headers?.['retry-after'];
+    if (!header) return null;
+    const seconds = Number(header);
+    return Number.isFinite(seconds) ? seconds * 1000 : Math.max(new Date(header).getTime() - Date.now(), 0) || null;
+}
+
+// closed -> open after failureThreshold transient failures in a row; once
+// resetTimeoutMs has passed a single trial call is let through, and its outcome
+// closes the circuit or opens it again. Errors that aren't transient prove the
+// service is answering, so they count as successes here.
+class CircuitBreaker {
+    constructor(name, { failureThreshold = 5, resetTimeoutMs = 60000 } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialRunning = false;
+    }
+
+    get state() {
+        if (!this.openedAt) return 'closed';
+        return Date.now() - this.openedAt < this.resetTimeoutMs ? 'open' : 'half_open';
+    }
+
+    async call(fn) {
+        const state = this.state;
+        if (state === 'open' || (state === 'half_open' && this.trialRunning)) {
+            throw new CircuitOpenError(this.name, new Date((this.openedAt || Date.now()) + this.resetTimeoutMs));
+        }
+
+        const trial = state === 'half_open';
+        if (trial) this.trialRunning = true;
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (isTransient(error)) this.recordFailure(trial);
+            else this.recordSuccess();
+            throw error;
+        } finally {
+            if (trial) this.trialRunning = false;
+        }
+    }
+
+    recordSuccess() {
+        if (this.openedAt) console.log(`✅ ${this.name} is answering again`);
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    recordFailure(trial) {
+        this.failures++;
+        if (trial || this.failures >= this.failureThreshold) {
+            console.warn(`🔌 ${this.name} failed ${this.failures} times in a row, pausing calls for ${this.resetTimeoutMs / 1000}s`);
+            this.openedAt = Date.now();
+        }
+    }
+}
+
+class ResilientClient {
+    constructor(name, { timeoutMs = 10000, retries = 3, baseDelayMs = 500, maxDelayMs = 30000, failureThreshold = 5, resetTimeoutMs = 60000 } = {}) {
+        this.name = name;
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.breaker = new CircuitBreaker(name, { failureThreshold, resetTimeoutMs });
+    }
+
+    // fn should honour timeoutMs itself (axios timeout, WebClient timeout option).
+    // A call that still fails after its retries counts once toward opening the circuit.
+    async call(fn) {
+        return this.breaker.call(() => this.retry(fn));
+    }
+
+    async get(url, config = {}) {
+        return this.call(() => axios.get(url, { timeout: this.timeoutMs, ...config }));
+    }
+
+    async retry(fn) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await fn();
+            } catch (error) {
+                if (!isTransient(error) || attempt >= this.retries) throw error;
+
+                // A Retry-After longer than we are willing to wait fails the call now
+                const delay = getRetryAfterMs(error) ?? this.getBackoffMs(attempt);
+                if (delay > this.maxDelayMs) throw error;
+
+                console.warn(`⏳ ${this.name} call failed (${error.message}), retrying in ${Math.ceil(delay / 1000)}s`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // Exponential with jitter, so instances that failed together don't retry together
+    getBackoffMs(attempt) {
+        const delay = Math.min(this.baseDelayMs * 2 ** attempt, this.maxDelayMs);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+}
+
+// A Slack WebClient whose every call, convenience methods included, goes through a
+// ResilientClient. The WebClient's own retries, which wait out 429s for up to half an
+// hour, are turned off so that only ours apply.
+class ResilientWebClient extends WebClient {
+    constructor(token, resilience, options = {}) {
+        super(token, { ...options, timeout: resilience.timeoutMs, rejectRateLimitedCalls: true, retryConfig: { retries: 0 } });
+        this.resilience = resilience;
+    }
+
+    apiCall(method, options) {
+        return this.resilience.call(() => super.apiCall(method, options));
+    }
+}
+
+const clients = new Map();
+
+// One client, and so one circuit, per service for the whole process. Options only
+// apply to the first call for a name.
+function getResilientClient(name, options = {}) {
+    if (!clients.has(name)) clients.set(name, new ResilientClient(name, options));
+    return clients.get(name);
+}
+
+module.exports = { ResilientClient, ResilientWebClient, CircuitBreaker, CircuitOpenError, getResilientClient, isTransient };
@@ -0,0 +1,54 @@
+const path = require('path');
+
+// STORAGE
+// Every backend exposes the same promise API over SQL written in SQLite's dialect
+// with ? placeholders; other backends translate it. Rows come back as plain objects
+// keyed by column name.
+class Storage {
+    // { changes, lastID } for INSERT/UPDATE/DELETE
+    async run(sql, params = []) {
+        throw new Error(`${this.constructor.name} does not implement run()`);
+    }
+
+    // First row, or undefined
+    async get(sql, params = []) {
+        throw new Error(`${this.constructor.name} does not implement get()`);
+    }
+
+    async all(sql, params = []) {
+        throw new Error(`${this.constructor.name} does not implement all()`);
+    }
+
+    // Runs fn(storage) inside a transaction on one connection; a throw rolls it back
+    async transaction(fn) {
+        throw new Error(`${this.constructor.name} does not implement transaction()`);
+    }
+
+    // Column names of a table, for migrations that add columns
+    async getColumns(table) {
+        throw new Error(`${this.constructor.name} does not implement getColumns()`);
+    }
+
+    async close() {}
+}
+
+const DEFAULT_SQLITE_FILE = path.join(__dirname, '..', 'Rotationpress.db');
+
+// DATABASE_URL picks the backend: postgres:// or postgresql:// for PostgreSQL,
+// sqlite:<file> or unset for SQLite (Rotationpress.db next to bot.js by default)
+function createStorage(url = process.env.DATABASE_URL) {
+    if (url && /^postgres(ql)?:\/\//i.test(url)) {
+        const { PostgresStorage } = require('./postgres');
+        return new PostgresStorage(url);
+    }
+
+    if (url && !/^sqlite:/i.test(url)) {
+        throw new Error(`Unsupported DATABASE_URL "${url.split(':')[0]}:", use sqlite:<file> or postgres://`);
+    }
+
+    const SqliteStorage = require('./sqlite');
+    const file = url ? url.replace(/^sqlite:(\/\/)?/i, '') : DEFAULT_SQLITE_FILE;
+    return new SqliteStorage(file || DEFAULT_SQLITE_FILE);
+}
+
+module.exports = { Storage, createStorage };
@@ -0,0 +1,113 @@
+const { Storage } = require('./index');
+
+// Shared database for running several instances or on ephemeral containers.
+// Timestamps stay ISO/SQLite-style TEXT so rows look the same as on SQLite, and a
+// datetime() function stands in for SQLite's when comparing them.
+const NOW = `to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')`;
+
+const DATETIME_FUNCTION = `
+    CREATE OR REPLACE FUNCTION datetime(value TEXT) RETURNS TIMESTAMP AS $$
+        SELECT CASE WHEN value = 'now' THEN now() AT TIME ZONE 'UTC'
+                    ELSE value::timestamptz AT TIME ZONE 'UTC' END
+    $$ LANGUAGE SQL STABLE
+`;
+
+// SQLite dialect -> PostgreSQL. Foreign keys are dropped because SQLite never
+// enforced them here, and cleanup code relies on that ordering freedom. Quoted
+// strings and identifiers are copied as they are, so a ? or a keyword inside a
+// literal is never rewritten.
+function translate(sql) {
+    const parts = sql.match(/'(?:[^']|'')*'|"(?:[^"]|"")*"|[^'"]+|['"]/g) || [];
+    let index = 0;
+    let text = parts
+        .map(part => (/^['"]/.test(part) ? part : part
+            .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/gi, 'SERIAL PRIMARY KEY')
+            .replace(/,\s*FOREIGN KEY \([^)]*\) REFERENCES \w+ \([^)]*\)/gi, '')
+            .replace(/\bDATETIME\b/g, 'TEXT')
+            .replace(/\bCURRENT_TIMESTAMP\b/g, `(${NOW})`)
+            .replace(/json_each\(([\w.]+)\)/g, 'jsonb_array_elements_text($1::jsonb)')
+            .replace(/\?/g, () => `$${++index}`)))
+        .join('');
+
+    if (/^\s*INSERT OR IGNORE\b/i.test(text)) {
+        text = `${text.replace(/INSERT OR IGNORE/i, 'INSERT').trim().replace(/;$/, '')} ON CONFLICT DO NOTHING`;
+    }
+    return text;
+}
+
+class PostgresStorage extends Storage {
+    constructor(url) {
+        super();
+        const { Pool } = require('pg');
+
+        this.pool = new Pool({ connectionString: url, onConnect: client => client.query(`SET TIME ZONE 'UTC'`) });
+        this.client = null;
+        this.ready = null;
+    }
+
+    async query(sql, params = []) {
+        await this.ensureReady();
+        return (this.client || this.pool).query(translate(sql), params);
+    }
+
+    // Installs datetime() once per process; CREATE OR REPLACE makes reinstalls harmless
+    ensureReady() {
+        if (!this.ready) {
+            this.ready = this.pool.query(DATETIME_FUNCTION).catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    // lastID needs a RETURNING id clause, which SQLite 3.35+ accepts too
+    async run(sql, params = []) {
+        const result = await this.query(sql, params);
+        return { changes: result.rowCount, lastID: result.rows[0] ? result.rows[0].id : undefined };
+    }
+
+    async get(sql, params = []) {
+        const result = await this.query(sql, params);
+        return result.rows[0];
+    }
+
+    async all(sql, params = []) {
+        const result = await this.query(sql, params);
+        return result.rows;
+    }
+
+    async transaction(fn) {
+        if (this.client) return fn(this);
+
+        await this.ensureReady();
+        const client = await this.pool.connect();
+        const scoped = Object.assign(Object.create(PostgresStorage.prototype), { pool: this.pool, ready: this.ready, client });
+
+        try {
+            await client.query('BEGIN');
+            const result = await fn(scoped);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getColumns(table) {
+        const rows = await this.all(
+            `SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ?`,
+            [table]
+        );
+        return rows.map(row => row.column_name);
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = { PostgresStorage, translate };
@@ -0,0 +1,68 @@
+const sqlite3 = require('sqlite3').verbose();
+const { Storage } = require('./index');
+
+// Single-file database; the default backend
+class SqliteStorage extends Storage {
+    constructor(file) {
+        super();
+        this.file = file;
+        this.db = new sqlite3.Database(file);
+    }
+
+    async run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes, lastID: this.lastID });
+            });
+        });
+    }
+
+    async get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // There is only one connection, so statements issued elsewhere while fn runs
+    // land in the same transaction. Keep transactions to startup work like migrations.
+    async transaction(fn) {
+        await this.run('BEGIN');
+        try {
+            const result = await fn(this);
+            await this.run('COMMIT');
+            return result;
+        } catch (error) {
+            await this.run('ROLLBACK');
+            throw error;
+        }
+    }
+
+    async getColumns(table) {
+        const columns = await this.all(`PRAGMA table_info(${table})`);
+        return columns.map(column => column.name);
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            this.db.close(err => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+}
+
+module.exports = SqliteStorage;
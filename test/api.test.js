@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { describeEachBackend, createTestBot, closeTestBot, callApi } = require('./helpers');
+
+describeEachBackend('REST API', backend => {
+    let bot;
+    let key;
+
+    before(async () => {
+        bot = await createTestBot(backend.url);
+        ({ key } = await bot.createApiKey('T1', 'tests', 'U0ADMIN'));
+    });
+
+    after(() => closeTestBot(bot));
+
+    const api = (method, url, body) => callApi(bot, method, url, { key, body });
+
+    test('requests without a valid key are rejected', async () => {
+        assert.strictEqual((await callApi(bot, 'GET', '/api/schedules')).status, 401);
+        assert.strictEqual((await callApi(bot, 'GET', '/api/schedules', { key: 'rp_nope' })).status, 401);
+    });
+
+    test('invalid input answers 400 with the reason', async () => {
+        const { status, body } = await api('POST', '/api/schedules', {
+            name: 'Backend',
+            type: 'internal',
+            frequency: 'daily',
+            members: ['U01'],
+            reminderLeadTimes: '[not json'
+        });
+
+        assert.strictEqual(status, 400);
+        assert.match(body.error, /Reminder lead times must be a list/);
+    });
+
+    test('unexpected failures answer 500 without details', async t => {
+        t.mock.method(bot, 'getSchedulesForWorkspace', async () => {
+            throw new TypeError("Cannot read properties of undefined (reading 'secret')");
+        });
+        t.mock.method(console, 'error', () => {});
+
+        const { status, body } = await api('GET', '/api/schedules');
+
+        assert.strictEqual(status, 500);
+        assert.deepStrictEqual(body, { error: 'Internal error' });
+    });
+
+    test('schedule fields are validated on create', async () => {
+        const valid = { name: 'Backend', type: 'internal', frequency: 'weekly', members: ['U01', 'U02'] };
+        const cases = [
+            [{ frequency: 'fortnightly' }, /Frequency must be daily, weekly, monthly or custom/],
+            [{ rotationWeekday: 0 }, /Weekly handoff day must be 1 \(Monday\) to 7 \(Sunday\)/],
+            [{ rotationWeekday: 8 }, /Weekly handoff day/],
+            [{ rotationWeekday: '3' }, /Weekly handoff day/],
+            [{ rotationMonthDay: 2.5 }, /Monthly handoff day/],
+            [{ rotationAnchor: 'garbage' }, /Invalid rotation start "garbage"/],
+            [{ members: ['U01', 'alice'] }, /Members must be a list of Slack user IDs/],
+            [{ members: [42] }, /Members must be a list of Slack user IDs/],
+            [{ startingMember: 'U09' }, /starting member must be part of the rotation/]
+        ];
+
+        for (const [fields, message] of cases) {
+            const { status, body } = await api('POST', '/api/schedules', { ...valid, ...fields });
+            assert.strictEqual(status, 400, JSON.stringify(fields));
+            assert.match(body.error, message);
+        }
+
+        const { status, body } = await api('POST', '/api/schedules', { ...valid, rotationWeekday: 3, rotationAnchor: '2026-03-02T09:00:00Z' });
+        assert.strictEqual(status, 201);
+        assert.strictEqual(body.data.rotationWeekday, 3);
+    });
+
+    test('schedule fields are validated on update', async () => {
+        const { body: created } = await api('POST', '/api/schedules', { name: 'Frontend', type: 'internal', frequency: 'daily', members: ['U01'] });
+        const url = `/api/schedules/${created.data.id}`;
+
+        for (const fields of [{ frequency: 'yearly' }, { rotationWeekday: 9 }, { rotationAnchor: 'soon' }, { members: ['not-a-user'] }]) {
+            const { status } = await api('PATCH', url, fields);
+            assert.strictEqual(status, 400, JSON.stringify(fields));
+        }
+
+        const { status, body } = await api('PATCH', url, { members: ['U01', 'W02'] });
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.data.members, ['U01', 'W02']);
+    });
+
+    test('archived schedules can be read but not changed', async () => {
+        const { body: created } = await api('POST', '/api/schedules', { name: 'Retired', type: 'internal', frequency: 'daily', members: ['U01', 'U02'] });
+        const id = created.data.id;
+        const { body: override } = await api('POST', '/api/overrides', { scheduleId: id, replacementUser: 'U03', duration: '2h', startTime: new Date(Date.now() + 3600000).toISOString() });
+        await bot.archiveSchedule(id, 'U0ADMIN');
+
+        assert.strictEqual((await api('GET', `/api/schedules/${id}`)).status, 200);
+
+        const patched = await api('PATCH', `/api/schedules/${id}`, { name: 'Renamed' });
+        assert.strictEqual(patched.status, 409);
+        assert.match(patched.body.error, /is archived/);
+
+        assert.strictEqual((await api('POST', '/api/overrides', { scheduleId: id, replacementUser: 'U03', duration: '1h' })).status, 409);
+        assert.strictEqual((await api('PATCH', `/api/overrides/${override.data.id}`, { extendBy: '1h' })).status, 409);
+        assert.strictEqual((await api('POST', '/api/mappings', { userGroup: 'retired-oncall', scheduleIds: [id] })).status, 409);
+    });
+});
@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { describeEachBackend, createTestBot, closeTestBot } = require('./helpers');
+
+describeEachBackend('Multi-instance coordination', backend => {
+    let bot;
+
+    before(async () => {
+        bot = await createTestBot(backend.url);
+    });
+
+    after(() => closeTestBot(bot));
+
+    test('each cron tick is claimed once, by whoever gets there first', async () => {
+        const now = new Date('2026-10-19T09:00:02Z');
+        const claims = await Promise.all([
+            bot.claimCronRun('Handoff detection', now),
+            bot.claimCronRun('Handoff detection', new Date('2026-10-19T08:59:58Z'))
+        ]);
+        assert.deepStrictEqual(claims.sort(), [false, true]);
+
+        assert.strictEqual(await bot.claimCronRun('Shift reminders', now), true);
+        assert.strictEqual(await bot.claimCronRun('Handoff detection', new Date('2026-10-19T09:01:00Z')), true);
+    });
+
+    test('concurrent transition checks announce a handoff once', async t => {
+        const { id } = await bot.createSchedule({ name: 'Race', type: 'internal', frequency: 'daily', members: ['U01', 'U02'], workspaceId: 'T1' });
+        const schedule = await bot.getScheduleById(id);
+        const { userId } = await bot.getEffectiveOnCall(schedule);
+        await bot.db.run(`INSERT INTO oncall_state (schedule_id, user_id) VALUES (?, ?)`, [id, userId === 'U01' ? 'U02' : 'U01']);
+        const notify = t.mock.method(bot, 'notifyHandoff', async () => {});
+
+        const transitions = await Promise.all([bot.checkScheduleTransition(id), bot.checkScheduleTransition(id)]);
+
+        assert.strictEqual(transitions.filter(Boolean).length, 1);
+        assert.strictEqual(notify.mock.callCount(), 1);
+        assert.strictEqual((await bot.getOnCallState(id)).user_id, userId);
+    });
+});
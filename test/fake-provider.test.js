@@ -0,0 +1,95 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { createProviderRegistry } = require('../providers');
+const FakeProvider = require('../providers/fake');
+
+const FIXTURE = path.join(__dirname, '..', 'providers', 'fixtures', 'fake-schedules.json');
+
+// Emails resolve to "U:<email>" so tests can see what was looked up
+const bot = {
+    resolveExternalIdentity: async (workspaceId, kind, identity) => `U:${identity.email}`
+};
+const provider = new FakeProvider(bot);
+
+const scheduleFor = scheduleId => ({
+    id: `sched_${scheduleId}`,
+    workspace_id: 'T1',
+    type: 'fake',
+    integration_config: JSON.stringify({ scheduleId })
+});
+
+beforeEach(() => {
+    process.env.FAKE_PROVIDER_FIXTURE = FIXTURE;
+});
+
+afterEach(() => {
+    delete process.env.FAKE_PROVIDER_FIXTURE;
+});
+
+test('the fake provider is only registered when a fixture is configured', () => {
+    assert.ok(createProviderRegistry(bot).has('fake'));
+
+    delete process.env.FAKE_PROVIDER_FIXTURE;
+    assert.ok(!createProviderRegistry(bot).has('fake'));
+});
+
+test('listSchedules lists the fixture schedules', async () => {
+    assert.deepStrictEqual(await provider.listSchedules(), [
+        { id: 'backend', name: 'Backend (fake)' },
+        { id: 'frontend', name: 'Frontend (fake)' },
+        { id: 'incident-commander', name: 'Incident Commander (fake)' }
+    ]);
+});
+
+test('member schedules cycle through members every shiftHours from start', async () => {
+    const shifts = await provider.getUpcomingShifts(scheduleFor('backend'), {
+        from: new Date('2024-01-02T10:00:00Z'),
+        count: 3
+    });
+
+    assert.deepStrictEqual(shifts, [
+        { scheduleId: 'sched_backend', userId: 'U0FAKE0002', start: new Date('2024-01-02T09:00:00Z'), end: new Date('2024-01-03T09:00:00Z') },
+        { scheduleId: 'sched_backend', userId: 'U0FAKE0003', start: new Date('2024-01-03T09:00:00Z'), end: new Date('2024-01-04T09:00:00Z') },
+        { scheduleId: 'sched_backend', userId: 'U0FAKE0001', start: new Date('2024-01-04T09:00:00Z'), end: new Date('2024-01-05T09:00:00Z') }
+    ]);
+});
+
+test('shifts stop at until', async () => {
+    const shifts = await provider.getUpcomingShifts(scheduleFor('frontend'), {
+        from: new Date('2024-01-01T09:00:00Z'),
+        until: new Date('2024-01-20T00:00:00Z'),
+        count: 10
+    });
+
+    assert.deepStrictEqual(shifts.map(shift => shift.userId), ['U0FAKE0004', 'U0FAKE0005', 'U0FAKE0004']);
+});
+
+test('getCurrentOnCall returns whoever holds the current shift', async () => {
+    assert.strictEqual(await provider.getCurrentOnCall(scheduleFor('incident-commander')), 'U0FAKE0006');
+});
+
+test('validateConfig rejects schedules missing from the fixture', () => {
+    assert.doesNotThrow(() => provider.validateConfig({ scheduleId: 'backend' }));
+    assert.throws(() => provider.validateConfig({ scheduleId: 'nope' }), /Fake schedule "nope" is not in the fixture/);
+});
+
+test('email users are resolved like external identities', async () => {
+    const fixture = {
+        schedules: {
+            mixed: {
+                shifts: [
+                    { user: 'ana@example.com', start: '2024-01-01T00:00:00Z', end: '2024-01-02T00:00:00Z' },
+                    { user: 'U0FAKE0007', start: '2024-01-02T00:00:00Z', end: '2024-01-03T00:00:00Z' }
+                ]
+            }
+        }
+    };
+    const fixtureProvider = new FakeProvider(bot);
+    fixtureProvider.loadFixture = () => fixture;
+
+    const shifts = await fixtureProvider.getUpcomingShifts(scheduleFor('mixed'), { from: new Date('2024-01-01T00:00:00Z') });
+
+    assert.deepStrictEqual(shifts.map(shift => shift.userId), ['U:ana@example.com', 'U0FAKE0007']);
+});
@@ -0,0 +1,59 @@
+-- Tables as the first release (before versioned migrations) created them in bot.js
+CREATE TABLE IF NOT EXISTS schedules (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    frequency TEXT NOT NULL,
+    members TEXT,
+    current_index INTEGER DEFAULT 0,
+    integration_config TEXT,
+    custom_interval TEXT,
+    timezone TEXT DEFAULT 'UTC',
+    rotation_start_time TEXT DEFAULT '09:00',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    workspace_id TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS user_groups (
+    id TEXT PRIMARY KEY,
+    slack_group_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    workspace_id TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS schedule_mappings (
+    id TEXT PRIMARY KEY,
+    user_group_id TEXT NOT NULL,
+    schedule_ids TEXT NOT NULL,
+    sync_config TEXT,
+    workspace_id TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_group_id) REFERENCES user_groups (id)
+);
+
+CREATE TABLE IF NOT EXISTS overrides (
+    id TEXT PRIMARY KEY,
+    schedule_id TEXT NOT NULL,
+    original_user TEXT,
+    replacement_user TEXT NOT NULL,
+    start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+    end_time DATETIME NOT NULL,
+    duration_value INTEGER NOT NULL,
+    duration_unit TEXT NOT NULL,
+    timezone TEXT DEFAULT 'UTC',
+    reason TEXT,
+    created_by TEXT NOT NULL,
+    workspace_id TEXT NOT NULL,
+    FOREIGN KEY (schedule_id) REFERENCES schedules (id)
+);
+
+CREATE TABLE IF NOT EXISTS sync_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    mapping_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    users_synced INTEGER,
+    error_message TEXT,
+    synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (mapping_id) REFERENCES schedule_mappings (id)
+);
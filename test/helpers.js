@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { describe } = require('node:test');
+const { Readable } = require('stream');
+const RotationpressCloneBot = require('../bot');
+const { createApiRoutes } = require('../api');
+const { createStorage } = require('../storage');
+
+// Bot-level suites run once per backend. PostgreSQL needs DATABASE_URL pointing at a
+// scratch database; every test database is a schema of its own there.
+const postgresUrl = /^postgres(ql)?:\/\//i.test(process.env.DATABASE_URL || '') ? process.env.DATABASE_URL : null;
+const BACKENDS = [
+    { name: 'SQLite', url: 'sqlite::memory:' },
+    { name: 'PostgreSQL', url: postgresUrl, skip: postgresUrl ? false : 'DATABASE_URL is not a postgres:// URL' }
+];
+
+function describeEachBackend(name, fn) {
+    for (const backend of BACKENDS) {
+        describe(`${name} on ${backend.name}`, { skip: backend.skip }, () => fn(backend));
+    }
+}
+
+// Records every Slack call as { method, args } and answers { ok: true }, or what
+// responses[method](args) returns
+function createFakeSlackClient(calls, responses = {}, path = []) {
+    const call = async (args = {}) => {
+        const method = path.join('.');
+        calls.push({ method, args });
+        return { ok: true, ...(responses[method] && await responses[method](args)) };
+    };
+    return new Proxy(call, {
+        get: (target, key) => {
+            if (key === 'then' || typeof key === 'symbol') return undefined;
+            if (key === 'token' && path.length === 0) return 'xoxb-test';
+            return createFakeSlackClient(calls, responses, [...path, key]);
+        }
+    });
+}
+
+// The real bot without Slack: the app only holds a fake client, handlers are
+// registered nowhere and no cron jobs run
+class TestBot extends RotationpressCloneBot {
+    createApp() {
+        this.slackCalls = [];
+        this.slackResponses = {};
+        const app = { client: createFakeSlackClient(this.slackCalls, this.slackResponses) };
+        return new Proxy(app, { get: (target, key) => (key in target ? target[key] : () => {}) });
+    }
+
+    createSlackClient() {
+        return this.app.client;
+    }
+
+    startCronJobs() {}
+}
+
+// An empty database for one test: the URL as given for SQLite, a new schema for
+// PostgreSQL. Drop it with dropTestDatabase.
+async function createTestDatabase(url) {
+    if (url !== postgresUrl) return url;
+
+    const schema = `test_${crypto.randomBytes(6).toString('hex')}`;
+    const storage = createStorage(url);
+    await storage.run(`CREATE SCHEMA ${schema}`);
+    await storage.close();
+
+    const withSchema = new URL(url);
+    withSchema.searchParams.set('options', `-c search_path=${schema}`);
+    return withSchema.toString();
+}
+
+async function dropTestDatabase(url) {
+    if (!/^postgres/i.test(url)) return;
+
+    const withSchema = new URL(url);
+    const [, schema] = (withSchema.searchParams.get('options') || '').match(/search_path=(test_\w+)/) || [];
+    if (!schema) return;
+
+    withSchema.searchParams.delete('options');
+    const storage = createStorage(withSchema.toString());
+    await storage.run(`DROP SCHEMA ${schema} CASCADE`);
+    await storage.close();
+}
+
+// A migrated TestBot, on a database of its own unless given one made by
+// createTestDatabase. Close it with closeTestBot.
+async function createTestBot(databaseUrl = 'sqlite::memory:') {
+    if (databaseUrl === postgresUrl) databaseUrl = await createTestDatabase(databaseUrl);
+
+    const previous = process.env.DATABASE_URL;
+    process.env.DATABASE_URL = databaseUrl;
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const bot = new TestBot();
+        bot.databaseUrl = databaseUrl;
+        await bot.databaseReady;
+        return bot;
+    } finally {
+        console.log = log;
+        if (previous === undefined) delete process.env.DATABASE_URL;
+        else process.env.DATABASE_URL = previous;
+    }
+}
+
+async function closeTestBot(bot) {
+    await bot.db.close();
+    await dropTestDatabase(bot.databaseUrl);
+}
+
+// Sends one REST API request straight to the route handlers, no HTTP server needed.
+// Resolves to { status, body } with the body parsed.
+async function callApi(bot, method, url, { key, body } = {}) {
+    const [pathname] = url.split('?');
+    for (const route of createApiRoutes(bot)) {
+        if (!route.method.includes(method)) continue;
+
+        const names = [];
+        const pattern = new RegExp(`^${route.path.replace(/:(\w+)/g, (match, name) => names.push(name) && '([^/]+)')}$`);
+        const match = pathname.match(pattern);
+        if (!match) continue;
+
+        const req = Readable.from(body === undefined ? [] : [Buffer.from(JSON.stringify(body))]);
+        Object.assign(req, {
+            method,
+            url,
+            headers: key ? { authorization: `Bearer ${key}` } : {},
+            params: Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]))
+        });
+
+        return new Promise((resolve, reject) => {
+            let status;
+            const res = {
+                writeHead: code => { status = code; },
+                end: text => resolve({ status, body: text ? JSON.parse(text) : null })
+            };
+            Promise.resolve(route.handler(req, res)).catch(reject);
+        });
+    }
+    throw new Error(`No API route for ${method} ${pathname}`);
+}
+
+module.exports = {
+    BACKENDS,
+    describeEachBackend,
+    TestBot,
+    createTestDatabase,
+    dropTestDatabase,
+    createTestBot,
+    closeTestBot,
+    createFakeSlackClient,
+    callApi
+};
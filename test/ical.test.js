@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const RotationpressCloneBot = require('../bot');
+const { renderCalendar, parseCalendar, expandEvents } = require('../ical');
+
+test('feeds write local times with a VTIMEZONE, escape text and fold long lines', () => {
+    const summary = 'Backend platform on-call: Zoë Müller-Østergaard (secondary, EU hours; weekdays)';
+    const calendar = renderCalendar({
+        name: 'Backend, EU; primary',
+        timezone: 'Europe/Berlin',
+        events: [{
+            uid: 'shift-1@rotationpress',
+            start: new Date('2026-03-23T08:00:00Z'),
+            end: new Date('2026-03-30T07:00:00Z'),
+            summary,
+            description: 'First line\nSecond line'
+        }],
+        now: new Date('2026-03-20T00:00:00Z')
+    });
+    const lines = calendar.split('\r\n');
+
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(lines.includes('X-WR-CALNAME:Backend\\, EU\\; primary'));
+    assert.ok(lines.includes('DESCRIPTION:First line\\nSecond line'));
+
+    // 09:00 local on both sides of the change to summer time
+    assert.ok(lines.includes('DTSTART;TZID=Europe/Berlin:20260323T090000'));
+    assert.ok(lines.includes('DTEND;TZID=Europe/Berlin:20260330T090000'));
+    const timezone = lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE') + 1);
+    assert.deepStrictEqual(timezone, [
+        'BEGIN:VTIMEZONE',
+        'TZID:Europe/Berlin',
+        'BEGIN:DAYLIGHT', 'DTSTART:20260329T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200', 'END:DAYLIGHT',
+        'BEGIN:STANDARD', 'DTSTART:20261025T030000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100', 'END:STANDARD',
+        'END:VTIMEZONE'
+    ]);
+
+    // Folded at 75 octets without splitting characters, unfolding restores the text
+    for (const line of lines) {
+        assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line);
+    }
+    const unfolded = calendar.replace(/\r\n /g, '').split('\r\n');
+    assert.ok(unfolded.includes(`SUMMARY:${summary.replace(/[,;]/g, '\\$&')}`));
+    assert.ok(lines.some(line => line.startsWith(' ')));
+});
+
+// A bot with one schedule feed (token "good") and one user feed (token "mine"); any
+// other token is unknown, which includes tokens that were reset since
+function createCalendarBot() {
+    const bot = Object.create(RotationpressCloneBot.prototype);
+    const feeds = {
+        good: { token: 'good', workspace_id: 'T1', feed_type: 'schedule', target_id: 'sched_1' },
+        other: { token: 'other', workspace_id: 'T2', feed_type: 'schedule', target_id: 'sched_1' },
+        mine: { token: 'mine', workspace_id: 'T1', feed_type: 'user', target_id: 'U01' }
+    };
+    bot.getCalendarFeed = async token => feeds[token] || null;
+    bot.getScheduleById = async id => (id === 'sched_1' ? { id, name: 'Backend', type: 'internal', frequency: 'weekly', timezone: 'Europe/Berlin', workspace_id: 'T1' } : undefined);
+    bot.getScheduleTimeline = async () => [{ userId: 'U01', start: new Date('2026-03-23T08:00:00Z'), end: new Date('2026-03-30T07:00:00Z') }];
+    bot.getUserDisplayName = async () => 'Ada';
+    return bot;
+}
+
+async function requestCalendar(bot, path) {
+    const [route] = bot.getCalendarRoutes();
+    const url = new URL(path, 'http://localhost');
+    const req = { url: `${url.pathname}${url.search}`, params: { id: url.pathname.match(/\/ical\/schedules\/(.+)\.ics$/)[1] } };
+
+    return new Promise(resolve => {
+        let status;
+        route.handler(req, {
+            writeHead: code => { status = code; },
+            end: body => resolve({ status, body })
+        });
+    });
+}
+
+test('a schedule feed needs its own token', async () => {
+    const bot = createCalendarBot();
+
+    const { status, body } = await requestCalendar(bot, '/ical/schedules/sched_1.ics?token=good');
+    assert.strictEqual(status, 200);
+    assert.match(body, /SUMMARY:Backend: Ada/);
+
+    for (const path of [
+        '/ical/schedules/sched_1.ics',
+        '/ical/schedules/sched_1.ics?token=revoked',
+        '/ical/schedules/sched_1.ics?token=mine',
+        '/ical/schedules/sched_2.ics?token=good',
+        '/ical/schedules/sched_1.ics?token=other'
+    ]) {
+        assert.deepStrictEqual(await requestCalendar(bot, path), { status: 404, body: 'Not found' }, path);
+    }
+});
+
+function expandFixture(name, from, until) {
+    const calendar = parseCalendar(fs.readFileSync(path.join(__dirname, 'fixtures', 'ical', name), 'utf8'));
+    return expandEvents(calendar, { from: new Date(from), until: new Date(until) });
+}
+
+const iso = occurrences => occurrences.map(({ start, end }) => [start.toISOString(), end.toISOString()]);
+
+test('a weekly TZID rule keeps its local time across DST, skips EXDATEs and adds RDATEs', () => {
+    const occurrences = expandFixture('weekly-exdate.ics', '2026-03-01T00:00:00Z', '2026-06-01T00:00:00Z');
+
+    assert.deepStrictEqual(iso(occurrences), [
+        ['2026-03-16T08:00:00.000Z', '2026-03-23T08:00:00.000Z'],
+        ['2026-03-23T08:00:00.000Z', '2026-03-30T07:00:00.000Z'],
+        ['2026-04-01T07:00:00.000Z', '2026-04-08T07:00:00.000Z'],
+        ['2026-04-06T07:00:00.000Z', '2026-04-13T07:00:00.000Z'],
+        ['2026-04-13T07:00:00.000Z', '2026-04-20T07:00:00.000Z']
+    ]);
+    assert.deepStrictEqual(occurrences[0].attendees, [{ email: 'ada@example.com', name: 'Ada Lovelace', role: 'REQ-PARTICIPANT' }]);
+});
+
+test('FREQ=MONTHLY;BYDAY=-1FR;COUNT=4 picks the last Friday of four months', () => {
+    // Floating times are read in the calendar's X-WR-TIMEZONE
+    const occurrences = expandFixture('monthly-last-friday.ics', '2026-01-01T00:00:00Z', '2027-01-01T00:00:00Z');
+
+    assert.deepStrictEqual(iso(occurrences), [
+        ['2026-01-30T22:00:00.000Z', '2026-01-31T00:00:00.000Z'],
+        ['2026-02-27T22:00:00.000Z', '2026-02-28T00:00:00.000Z'],
+        ['2026-03-27T21:00:00.000Z', '2026-03-27T23:00:00.000Z'],
+        ['2026-04-24T21:00:00.000Z', '2026-04-24T23:00:00.000Z']
+    ]);
+});
+
+test('RECURRENCE-ID instances move or cancel the occurrence they replace', () => {
+    const occurrences = expandFixture('moved-instance.ics', '2026-06-01T00:00:00Z', '2026-07-01T00:00:00Z');
+
+    assert.deepStrictEqual(iso(occurrences), [
+        ['2026-06-01T09:00:00.000Z', '2026-06-01T17:00:00.000Z'],
+        ['2026-06-02T13:00:00.000Z', '2026-06-02T21:00:00.000Z']
+    ]);
+    assert.deepStrictEqual(occurrences.map(occurrence => occurrence.summary), ['Support', 'Support (late shift)']);
+});
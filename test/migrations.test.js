@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStorage } = require('../storage');
+const { MIGRATIONS, migrate, getMigrationStatus } = require('../migrations');
+const { describeEachBackend, createTestDatabase, createTestBot, closeTestBot } = require('./helpers');
+
+const BASELINE_SCHEMA = fs.readFileSync(path.join(__dirname, 'fixtures', 'baseline-schema.sql'), 'utf8');
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rotationpress-migrations-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A database as the first release left it, with a schedule, an active override and a
+// user group sync: a file for SQLite, a schema of its own for PostgreSQL
+async function createBaselineDatabase(backend, name, extraStatements = []) {
+    const url = backend.url.startsWith('sqlite') ? `sqlite:${path.join(dir, name)}` : await createTestDatabase(backend.url);
+    const storage = createStorage(url);
+    const statements = BASELINE_SCHEMA.split(';').map(sql => sql.replace(/^--.*$/gm, '').trim()).filter(Boolean);
+    for (const sql of [...statements, ...extraStatements]) {
+        await storage.run(sql);
+    }
+
+    const hour = 3600000;
+    await storage.run(
+        `INSERT INTO schedules (id, name, type, frequency, members, integration_config, timezone, rotation_start_time, created_at, workspace_id)
+         VALUES ('sched_legacy', 'Legacy', 'internal', 'daily', '["U01","U02"]', '{}', 'UTC', '09:00', '2026-01-01 09:00:00', 'T1')`
+    );
+    await storage.run(`INSERT INTO user_groups (id, slack_group_id, name, workspace_id) VALUES ('ug_legacy', 'S01', 'legacy-oncall', 'T1')`);
+    await storage.run(
+        `INSERT INTO schedule_mappings (id, user_group_id, schedule_ids, sync_config, workspace_id)
+         VALUES ('map_legacy', 'ug_legacy', '["sched_legacy"]', '{"conflictResolution":"merge"}', 'T1')`
+    );
+    await storage.run(
+        `INSERT INTO overrides (id, schedule_id, replacement_user, start_time, end_time, duration_value, duration_unit, created_by, workspace_id)
+         VALUES ('ovr_legacy', 'sched_legacy', 'U09', ?, ?, 2, 'hours', 'U01', 'T1')`,
+        [new Date(Date.now() - hour).toISOString(), new Date(Date.now() + hour).toISOString()]
+    );
+    await storage.run(`INSERT INTO sync_logs (mapping_id, status, users_synced) VALUES ('map_legacy', 'success', 1)`);
+    await storage.close();
+    return url;
+}
+
+describeEachBackend('Migrations', backend => {
+    test('a database from the first release upgrades to the latest schema with its data', async () => {
+        const bot = await createTestBot(await createBaselineDatabase(backend, 'baseline.db'));
+        try {
+            const status = await getMigrationStatus(bot.db);
+            assert.deepStrictEqual(status.filter(migration => !migration.appliedAt), []);
+            assert.strictEqual(status.length, MIGRATIONS.length);
+
+            const columns = await bot.db.getColumns('schedules');
+            for (const column of ['rotation_weekday', 'rotation_anchor', 'notification_channel', 'reminder_lead_times', 'archived_at']) {
+                assert.ok(columns.includes(column), column);
+            }
+
+            const [rotation] = await bot.getCurrentRotations('T1');
+            assert.strictEqual(rotation.schedule, 'Legacy');
+            assert.strictEqual(rotation.currentUser, 'U09');
+            assert.strictEqual(rotation.isOverride, true);
+
+            const [mapping] = await bot.getMappingsForWorkspace('T1');
+            assert.strictEqual(mapping.id, 'map_legacy');
+
+            const { id } = await bot.createSchedule({ name: 'New', type: 'internal', frequency: 'weekly', members: ['U03'], rotationWeekday: 1, workspaceId: 'T1' });
+            assert.strictEqual((await bot.getScheduleById(id)).rotation_weekday, 1);
+
+            assert.deepStrictEqual(await migrate(bot.db, { log: () => {} }), []);
+        } finally {
+            await closeTestBot(bot);
+        }
+    });
+
+    test('a database that already has some later columns but no migration history upgrades too', async () => {
+        const url = await createBaselineDatabase(backend, 'intermediate.db', [
+            'ALTER TABLE schedules ADD COLUMN rotation_weekday INTEGER',
+            'ALTER TABLE schedules ADD COLUMN rotation_month_day INTEGER'
+        ]);
+        const bot = await createTestBot(url);
+        try {
+            const status = await getMigrationStatus(bot.db);
+            assert.deepStrictEqual(status.filter(migration => !migration.appliedAt), []);
+            assert.strictEqual((await bot.getScheduleById('sched_legacy')).name, 'Legacy');
+        } finally {
+            await closeTestBot(bot);
+        }
+    });
+});
@@ -0,0 +1,153 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const OpsGenieProvider = require('../providers/opsgenie');
+
+// Stands in for the OpsGenie API: each test sets the handler for the requests it makes
+let server;
+let handler;
+let requests;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+        const [status, body] = handler(url);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.OPSGENIE_API_URL = `http://127.0.0.1:${server.address().port}/`;
+    process.env.OPSGENIE_TOKEN = 'test-key';
+});
+
+after(() => {
+    server.close();
+    delete process.env.OPSGENIE_API_URL;
+    delete process.env.OPSGENIE_TOKEN;
+});
+
+beforeEach(() => {
+    requests = [];
+    handler = () => [404, { message: 'Not found' }];
+});
+
+// Identities resolve to the Slack ID "U:<email>" so tests can see what was looked up
+const provider = new OpsGenieProvider({
+    resolveExternalIdentity: async (workspaceId, kind, identity) => `U:${identity.email}`
+});
+
+const schedule = {
+    id: 'sched_1',
+    workspace_id: 'T1',
+    type: 'opsgenie',
+    integration_config: JSON.stringify({ scheduleId: 'Platform' })
+};
+
+test('getCurrentOnCall resolves the first on-call recipient', async () => {
+    handler = () => [200, { data: { onCallRecipients: ['ana@example.com', 'ben@example.com'] } }];
+
+    assert.strictEqual(await provider.getCurrentOnCall(schedule), 'U:ana@example.com');
+
+    const [request] = requests;
+    assert.strictEqual(request.path, '/v2/schedules/Platform/on-calls');
+    assert.strictEqual(request.query.scheduleIdentifierType, 'name');
+    assert.strictEqual(request.query.flat, 'true');
+    assert.strictEqual(request.headers.authorization, 'GenieKey test-key');
+});
+
+test('getCurrentOnCall looks schedules up by ID when given a UUID', async () => {
+    const id = '0f4c2f7e-6a43-4c1b-9b0e-3c2a1d5e8f90';
+    handler = () => [200, { data: { onCallRecipients: [] } }];
+
+    const onCall = await provider.getCurrentOnCall({ ...schedule, integration_config: JSON.stringify({ scheduleId: id }) });
+
+    assert.strictEqual(onCall, null);
+    assert.strictEqual(requests[0].path, `/v2/schedules/${id}/on-calls`);
+    assert.strictEqual(requests[0].query.scheduleIdentifierType, 'id');
+});
+
+test('getUpcomingShifts returns user periods from the timeline in order', async () => {
+    const from = new Date('2026-03-02T09:00:00Z');
+    handler = () => [200, {
+        data: {
+            finalTimeline: {
+                rotations: [
+                    {
+                        periods: [
+                            { startDate: '2026-03-03T09:00:00Z', endDate: '2026-03-04T09:00:00Z', recipient: { type: 'user', name: 'ben@example.com' } },
+                            { startDate: '2026-03-01T09:00:00Z', endDate: '2026-03-02T09:00:00Z', recipient: { type: 'user', name: 'old@example.com' } }
+                        ]
+                    },
+                    {
+                        periods: [
+                            { startDate: '2026-03-02T09:00:00Z', endDate: '2026-03-03T09:00:00Z', recipient: { type: 'user', name: 'ana@example.com' } },
+                            { startDate: '2026-03-04T09:00:00Z', endDate: '2026-03-05T09:00:00Z', recipient: { type: 'team', name: 'SRE' } }
+                        ]
+                    }
+                ]
+            }
+        }
+    }];
+
+    const shifts = await provider.getUpcomingShifts(schedule, { from, until: new Date('2026-03-09T09:00:00Z') });
+
+    assert.deepStrictEqual(shifts, [
+        { scheduleId: 'sched_1', userId: 'U:ana@example.com', start: new Date('2026-03-02T09:00:00Z'), end: new Date('2026-03-03T09:00:00Z') },
+        { scheduleId: 'sched_1', userId: 'U:ben@example.com', start: new Date('2026-03-03T09:00:00Z'), end: new Date('2026-03-04T09:00:00Z') }
+    ]);
+    assert.strictEqual(requests[0].path, '/v2/schedules/Platform/timeline');
+    assert.strictEqual(requests[0].query.date, from.toISOString());
+    assert.strictEqual(requests[0].query.interval, '7');
+    assert.strictEqual(requests[0].query.intervalUnit, 'days');
+});
+
+test('getUpcomingShifts stops after count periods', async () => {
+    const periods = [0, 1, 2, 3].map(day => ({
+        startDate: new Date(Date.UTC(2026, 2, 2 + day, 9)).toISOString(),
+        endDate: new Date(Date.UTC(2026, 2, 3 + day, 9)).toISOString(),
+        recipient: { type: 'user', name: `user${day}@example.com` }
+    }));
+    handler = () => [200, { data: { finalTimeline: { rotations: [{ periods }] } } }];
+
+    const shifts = await provider.getUpcomingShifts(schedule, { from: new Date('2026-03-02T09:00:00Z'), count: 2 });
+
+    assert.deepStrictEqual(shifts.map(shift => shift.userId), ['U:user0@example.com', 'U:user1@example.com']);
+});
+
+test('client errors are thrown without retrying', async () => {
+    handler = () => [401, { message: 'Key is not valid' }];
+
+    await assert.rejects(provider.getCurrentOnCall(schedule), error => error.response?.status === 401);
+    assert.strictEqual(requests.length, 1);
+});
+
+test('server errors are retried', async () => {
+    let calls = 0;
+    handler = () => (++calls === 1 ? [503, { message: 'Unavailable' }] : [200, { data: { onCallRecipients: ['ana@example.com'] } }]);
+
+    assert.strictEqual(await provider.getCurrentOnCall(schedule), 'U:ana@example.com');
+    assert.strictEqual(requests.length, 2);
+});
+
+test('listSchedules maps IDs and names', async () => {
+    handler = url => (url.pathname === '/v2/schedules'
+        ? [200, { data: [{ id: 'a1', name: 'Platform', enabled: true }] }]
+        : [404, {}]);
+
+    assert.deepStrictEqual(await provider.listSchedules(), [{ id: 'a1', name: 'Platform' }]);
+});
+
+test('EU schedules use the EU API unless OPSGENIE_API_URL is set', () => {
+    const apiUrl = process.env.OPSGENIE_API_URL;
+    delete process.env.OPSGENIE_API_URL;
+    try {
+        assert.strictEqual(provider.getApiUrl({ region: 'eu' }), 'https://api.eu.opsgenie.com');
+        assert.strictEqual(provider.getApiUrl({}), 'https://api.opsgenie.com');
+    } finally {
+        process.env.OPSGENIE_API_URL = apiUrl;
+    }
+    assert.strictEqual(provider.getApiUrl({ region: 'eu' }), apiUrl.replace(/\/$/, ''));
+});
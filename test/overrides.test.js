@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const RotationpressCloneBot = require('../bot');
+
+// Just the override action handling, on an override of workspace T1
+function createBot(override) {
+    const bot = Object.create(RotationpressCloneBot.prototype);
+    bot.getOverrideById = async id => (id === override.id ? override : undefined);
+    bot.getOpenOverrides = async () => [];
+    return bot;
+}
+
+test('override buttons only act on overrides of the clicking workspace', async t => {
+    t.mock.method(console, 'error', () => {});
+    const bot = createBot({ id: 'ovr_1', workspace_id: 'T1' });
+    const responses = [];
+    const respond = async message => responses.push(message);
+    const operation = t.mock.fn(async () => {});
+
+    await bot.handleOverrideAction({ team: { id: 'T2' }, user: { id: 'U09' } }, respond, 'ovr_1', operation);
+    await bot.handleOverrideAction({ team: { id: 'T1' }, user: { id: 'U01' } }, respond, 'ovr_missing', operation);
+
+    assert.strictEqual(operation.mock.callCount(), 0);
+    assert.deepStrictEqual(responses.map(response => response.text), ['❌ Error updating override: Override not found', '❌ Error updating override: Override not found']);
+
+    await bot.handleOverrideAction({ team: { id: 'T1' }, user: { id: 'U01' } }, respond, 'ovr_1', operation);
+
+    assert.strictEqual(operation.mock.callCount(), 1);
+    assert.strictEqual(responses[2].replace_original, true);
+});
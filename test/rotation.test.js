@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const RotationpressCloneBot = require('../bot');
+
+// The rotation engine only reads the schedule row, so no app or database is needed
+const bot = Object.create(RotationpressCloneBot.prototype);
+
+function schedule(fields) {
+    return {
+        id: 'sched_1',
+        type: 'internal',
+        members: JSON.stringify(['U01', 'U02', 'U03']),
+        timezone: 'UTC',
+        rotation_start_time: '09:00',
+        created_at: '2026-01-01 00:00:00',
+        ...fields
+    };
+}
+
+function period(row, at) {
+    const { start, end } = bot.getRotationPeriod(row, new Date(at));
+    return [start.toISOString(), end.toISOString()];
+}
+
+test('a weekly Europe/Berlin handoff stays at 09:00 local time across both DST changes', () => {
+    const berlin = schedule({
+        frequency: 'weekly',
+        timezone: 'Europe/Berlin',
+        rotation_weekday: 1,
+        created_at: '2026-03-04 15:00:00'
+    });
+
+    // Created on a Wednesday, so the first handoff is the Monday before
+    assert.strictEqual(bot.getRotationPlan(berlin).anchor.toUTC().toISO(), '2026-03-02T08:00:00.000Z');
+
+    // Summer time starts on Sunday 29 March: 09:00 moves from 08:00 to 07:00 UTC
+    assert.deepStrictEqual(period(berlin, '2026-03-25T12:00:00Z'), ['2026-03-23T08:00:00.000Z', '2026-03-30T07:00:00.000Z']);
+    assert.deepStrictEqual(period(berlin, '2026-03-30T06:59:00Z'), ['2026-03-23T08:00:00.000Z', '2026-03-30T07:00:00.000Z']);
+    assert.deepStrictEqual(period(berlin, '2026-03-30T07:00:00Z'), ['2026-03-30T07:00:00.000Z', '2026-04-06T07:00:00.000Z']);
+
+    // and back on Sunday 25 October
+    assert.deepStrictEqual(period(berlin, '2026-10-21T12:00:00Z'), ['2026-10-19T07:00:00.000Z', '2026-10-26T08:00:00.000Z']);
+    assert.deepStrictEqual(period(berlin, '2026-10-26T08:00:00Z'), ['2026-10-26T08:00:00.000Z', '2026-11-02T08:00:00.000Z']);
+});
+
+test('a monthly handoff on the 31st in Australia/Sydney falls on the last day of shorter months', () => {
+    const sydney = schedule({
+        frequency: 'monthly',
+        timezone: 'Australia/Sydney',
+        created_at: '2026-01-31 00:00:00'
+    });
+
+    assert.strictEqual(bot.getRotationPlan(sydney).monthDay, 31);
+
+    assert.deepStrictEqual(period(sydney, '2026-02-15T00:00:00Z'), ['2026-01-30T22:00:00.000Z', '2026-02-27T22:00:00.000Z']);
+    assert.deepStrictEqual(period(sydney, '2026-03-15T00:00:00Z'), ['2026-02-27T22:00:00.000Z', '2026-03-30T22:00:00.000Z']);
+    // Daylight saving ends on 5 April, so 09:00 on 30 April is 23:00 UTC the day before
+    assert.deepStrictEqual(period(sydney, '2026-05-10T00:00:00Z'), ['2026-04-29T23:00:00.000Z', '2026-05-30T23:00:00.000Z']);
+    // Clamping in February does not carry over into later months
+    assert.deepStrictEqual(period(sydney, '2027-01-10T00:00:00Z'), ['2026-12-30T22:00:00.000Z', '2027-01-30T22:00:00.000Z']);
+});
+
+test('a custom 8h interval hands off every eight hours, also across a DST change', () => {
+    // Counted from 09:00 local time on the creation day, 08:00 UTC before summer time
+    const shifts = schedule({
+        frequency: 'custom',
+        custom_interval: '8h',
+        timezone: 'Europe/Berlin',
+        created_at: '2026-03-28 12:00:00'
+    });
+
+    assert.deepStrictEqual(period(shifts, '2026-03-28T12:00:00Z'), ['2026-03-28T08:00:00.000Z', '2026-03-28T16:00:00.000Z']);
+    assert.deepStrictEqual(period(shifts, '2026-03-29T07:30:00Z'), ['2026-03-29T00:00:00.000Z', '2026-03-29T08:00:00.000Z']);
+    assert.deepStrictEqual(period(shifts, '2026-03-29T08:00:00Z'), ['2026-03-29T08:00:00.000Z', '2026-03-29T16:00:00.000Z']);
+    // Fifth shift, so the second member again
+    assert.strictEqual(bot.calculateRotationIndexWithTimezone(shifts, new Date('2026-03-29T16:00:00Z')), 1);
+});
+
+test('the rotation moves through the members one period at a time', () => {
+    const daily = schedule({ frequency: 'daily', created_at: '2026-03-02 10:00:00' });
+    const onCall = at => JSON.parse(daily.members)[bot.calculateRotationIndexWithTimezone(daily, new Date(at))];
+
+    assert.deepStrictEqual(
+        ['2026-03-02T10:00:00Z', '2026-03-03T08:59:00Z', '2026-03-03T09:00:00Z', '2026-03-04T12:00:00Z', '2026-03-05T12:00:00Z'].map(onCall),
+        ['U01', 'U01', 'U02', 'U03', 'U01']
+    );
+});
+
+test('an explicit rotation start anchors the periods', () => {
+    const weekly = schedule({ frequency: 'weekly', timezone: 'Europe/Berlin', rotation_anchor: '2026-06-04T07:00:00.000Z' });
+
+    assert.deepStrictEqual(period(weekly, '2026-06-10T12:00:00Z'), ['2026-06-04T07:00:00.000Z', '2026-06-11T07:00:00.000Z']);
+    assert.deepStrictEqual(period(weekly, '2026-11-01T12:00:00Z'), ['2026-10-29T08:00:00.000Z', '2026-11-05T08:00:00.000Z']);
+});
+
+test('the starting member takes the first period and the rotation continues from them', () => {
+    const daily = schedule({ frequency: 'daily', starting_member: 'U02', rotation_anchor: '2026-03-02T09:00:00.000Z' });
+    const onCall = at => JSON.parse(daily.members)[bot.calculateRotationIndexWithTimezone(daily, new Date(at))];
+
+    assert.strictEqual(onCall('2026-03-02T10:00:00Z'), 'U02');
+    assert.strictEqual(onCall('2026-03-03T08:59:00Z'), 'U02');
+    assert.strictEqual(onCall('2026-03-03T09:00:00Z'), 'U03');
+    assert.strictEqual(onCall('2026-03-04T12:00:00Z'), 'U01');
+    assert.strictEqual(onCall('2026-03-01T12:00:00Z'), 'U01');
+
+    // A starting member who left the rotation falls back to the first listed member
+    const left = { ...daily, starting_member: 'U09' };
+    assert.strictEqual(bot.calculateRotationIndexWithTimezone(left, new Date('2026-03-02T10:00:00Z')), 0);
+});
+
+test('pinning the anchor of a monthly rotation keeps its handoff day', () => {
+    const monthly = schedule({ frequency: 'monthly', timezone: 'Australia/Sydney', rotation_month_day: 31, rotation_anchor: '2026-01-30T22:00:00.000Z' });
+    const members = JSON.parse(monthly.members);
+    const onCall = members[bot.calculateRotationIndexWithTimezone(monthly)];
+
+    const pinned = bot.getPinnedRotationAnchor(monthly, members);
+
+    assert.strictEqual(pinned.rotationMonthDay, 31);
+    assert.strictEqual(pinned.startingMember, onCall);
+    assert.strictEqual(pinned.rotationAnchor, bot.getRotationPeriod(monthly).start.toISOString());
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const RotationpressCloneBot = require('../bot');
+const { ResilientClient, ResilientWebClient } = require('../resilience');
+const { describeEachBackend, createTestBot, closeTestBot } = require('./helpers');
+
+// Answers Slack API requests with the given HTTP statuses in turn, then 200s. Records
+// the method names requested.
+function createSlackAdapter(statuses, requests = []) {
+    return async config => {
+        const method = config.url.split('/').pop();
+        requests.push(method);
+        const status = statuses.shift() || 200;
+        const headers = status === 429 ? { 'retry-after': '0' } : {};
+        const data = status === 200 ? { ok: true } : 'unavailable';
+        return { status, statusText: String(status), headers, data, config, request: { path: `/api/${method}` } };
+    };
+}
+
+function createClient(statuses, requests, options = {}) {
+    const resilience = new ResilientClient('Slack (T1)', { baseDelayMs: 1, failureThreshold: 1, ...options });
+    return new ResilientWebClient('xoxb-test', resilience, { adapter: createSlackAdapter(statuses, requests) });
+}
+
+test('every Slack method retries transient failures', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const requests = [];
+    const client = createClient([503, 429], requests);
+
+    const result = await client.chat.postMessage({ channel: 'C01', text: 'hi' });
+
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(requests, ['chat.postMessage', 'chat.postMessage', 'chat.postMessage']);
+});
+
+test('a failing Slack workspace opens its circuit without waiting out the client retries', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const requests = [];
+    const client = createClient([500, 500], requests, { retries: 1 });
+
+    await assert.rejects(client.users.info({ user: 'U01' }), { code: 'slack_webapi_http_error' });
+    await assert.rejects(client.users.lookupByEmail({ email: 'a@example.com' }), { code: 'circuit_open' });
+    assert.strictEqual(requests.length, 2);
+});
+
+describeEachBackend('Slack clients', backend => {
+    let bot;
+
+    before(async () => {
+        bot = await createTestBot(backend.url);
+    });
+
+    after(() => closeTestBot(bot));
+
+    test('each workspace gets its own Slack client and circuit', async () => {
+        const createSlackClient = RotationpressCloneBot.prototype.createSlackClient;
+        const first = createSlackClient.call(bot, 'xoxb-one', 'T01');
+        const second = createSlackClient.call(bot, 'xoxb-two', 'T02');
+
+        assert.ok(first instanceof ResilientWebClient);
+        assert.strictEqual(first.resilience.name, 'Slack (T01)');
+        assert.notStrictEqual(first.resilience.breaker, second.resilience.breaker);
+        assert.strictEqual(first.resilience.timeoutMs, bot.slackTimeoutMs);
+    });
+
+    test('listeners get the workspace client', async () => {
+        let received;
+        const listener = bot.withSlackClient(async ({ client }) => { received = client; });
+
+        await listener({ context: { teamId: 'T1' }, client: 'bolt client' });
+
+        assert.strictEqual(received, await bot.getClient('T1'));
+    });
+});
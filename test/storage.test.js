@@ -0,0 +1,124 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createStorage } = require('../storage');
+const { translate } = require('../storage/postgres');
+const { describeEachBackend, createTestDatabase, dropTestDatabase, createTestBot, closeTestBot } = require('./helpers');
+
+test('translate rewrites placeholders and SQLite syntax outside quoted text only', () => {
+    assert.strictEqual(
+        translate(`SELECT * FROM t WHERE a = ? AND note = 'why? it''s ?' AND "odd?" = ? AND datetime(at) <= datetime('now')`),
+        `SELECT * FROM t WHERE a = $1 AND note = 'why? it''s ?' AND "odd?" = $2 AND datetime(at) <= datetime('now')`
+    );
+    assert.strictEqual(translate(`SELECT 'CURRENT_TIMESTAMP DATETIME'`), `SELECT 'CURRENT_TIMESTAMP DATETIME'`);
+    assert.strictEqual(
+        translate('INSERT OR IGNORE INTO t (a) VALUES (?);'),
+        'INSERT INTO t (a) VALUES ($1) ON CONFLICT DO NOTHING'
+    );
+    assert.strictEqual(
+        translate('SELECT 1 FROM json_each(e.schedule_ids) WHERE value = ?'),
+        'SELECT 1 FROM jsonb_array_elements_text(e.schedule_ids::jsonb) WHERE value = $1'
+    );
+    assert.match(translate('CREATE TABLE t (id INTEGER PRIMARY KEY AUTOINCREMENT, at DATETIME, FOREIGN KEY (id) REFERENCES u (id))'), /^CREATE TABLE t \(id SERIAL PRIMARY KEY, at TEXT\)$/);
+});
+
+describeEachBackend('Storage', backend => {
+    const table = 'storage_test';
+    let url;
+    let storage;
+
+    before(async () => {
+        url = await createTestDatabase(backend.url);
+        storage = createStorage(url);
+        await storage.run(`
+            CREATE TABLE ${table} (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                tags TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    });
+
+    after(async () => {
+        await storage.run(`DROP TABLE IF EXISTS ${table}`);
+        await storage.close();
+        await dropTestDatabase(url);
+    });
+
+    test('runs statements and reads rows', async () => {
+        const { lastID } = await storage.run(`INSERT INTO ${table} (name, tags) VALUES (?, ?) RETURNING id`, ['alpha', '["a","b"]']);
+        assert.ok(lastID > 0);
+        const { changes } = await storage.run(`UPDATE ${table} SET tags = ? WHERE id = ?`, ['["a","b"]', lastID]);
+        assert.strictEqual(changes, 1);
+
+        const row = await storage.get(`SELECT name, tags FROM ${table} WHERE id = ?`, [lastID]);
+        assert.deepStrictEqual({ ...row }, { name: 'alpha', tags: '["a","b"]' });
+        assert.strictEqual(await storage.get(`SELECT * FROM ${table} WHERE name = ?`, ['missing']), undefined);
+    });
+
+    test('keeps question marks inside string literals', async () => {
+        const row = await storage.get(`SELECT 'who? me?' AS text, name FROM ${table} WHERE name = ?`, ['alpha']);
+        assert.strictEqual(row.text, 'who? me?');
+        assert.strictEqual(row.name, 'alpha');
+    });
+
+    test('INSERT OR IGNORE skips duplicates', async () => {
+        const first = await storage.run(`INSERT OR IGNORE INTO ${table} (name) VALUES (?)`, ['beta']);
+        const second = await storage.run(`INSERT OR IGNORE INTO ${table} (name) VALUES (?)`, ['beta']);
+        assert.deepStrictEqual([first.changes, second.changes], [1, 0]);
+    });
+
+    test('compares timestamps with datetime()', async () => {
+        await storage.run(`INSERT INTO ${table} (name, created_at) VALUES (?, ?)`, ['old', '2020-01-01T00:00:00.000Z']);
+        const rows = await storage.all(`SELECT name FROM ${table} WHERE datetime(created_at) <= datetime('now') ORDER BY datetime(created_at), id`);
+        assert.strictEqual(rows[0].name, 'old');
+        assert.ok(rows.length >= 3);
+    });
+
+    test('looks into JSON lists with json_each', async () => {
+        const rows = await storage.all(`SELECT name FROM ${table} WHERE tags IS NOT NULL AND EXISTS (SELECT 1 FROM json_each(tags) WHERE value = ?)`, ['b']);
+        assert.deepStrictEqual(rows.map(row => row.name), ['alpha']);
+    });
+
+    test('rolls back failed transactions', async () => {
+        await assert.rejects(storage.transaction(async tx => {
+            await tx.run(`INSERT INTO ${table} (name) VALUES (?)`, ['gamma']);
+            throw new Error('abort');
+        }), /abort/);
+        assert.strictEqual(await storage.get(`SELECT * FROM ${table} WHERE name = ?`, ['gamma']), undefined);
+    });
+
+    test('lists columns', async () => {
+        assert.deepStrictEqual((await storage.getColumns(table)).sort(), ['created_at', 'id', 'name', 'tags']);
+    });
+});
+
+describeEachBackend('Bot storage', backend => {
+    let bot;
+
+    before(async () => {
+        bot = await createTestBot(backend.url);
+    });
+
+    after(() => closeTestBot(bot));
+
+    test('lists webhook deliveries newest first, also within one second', async () => {
+        const webhook = await bot.createWebhook('T1', 'https://hooks.example.com/order', [], 'U0ADMIN');
+        const ids = [];
+        for (let i = 0; i < 3; i++) {
+            const delivery = await bot.createWebhookDelivery(webhook, { id: `evt_${i}`, type: 'rotation.changed' });
+            ids.push(delivery.id);
+            await new Promise(resolve => setTimeout(resolve, 2));
+        }
+
+        const deliveries = await bot.getWebhookDeliveries(webhook.id);
+        assert.deepStrictEqual(deliveries.map(delivery => delivery.id), ids.reverse());
+    });
+
+    test('finds audit events by schedule', async () => {
+        const { id } = await bot.createSchedule({ name: 'Audited', type: 'internal', frequency: 'daily', members: ['U01'], workspaceId: 'T1' }, { actor: 'U01' });
+        const { events } = await bot.getAuditEvents('T1', id);
+        assert.deepStrictEqual(events.map(event => event.action), ['schedule.created']);
+    });
+});
@@ -0,0 +1,108 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { describeEachBackend, createTestBot, closeTestBot } = require('./helpers');
+
+describeEachBackend('User group sync', backend => {
+    let bot;
+    let group;
+
+    before(async () => {
+        bot = await createTestBot(backend.url);
+
+        // One Slack user group whose members and state follow the calls made
+        Object.assign(bot.slackResponses, {
+            'usergroups.create': () => ({ usergroup: { id: 'S01' } }),
+            'usergroups.users.list': () => ({ users: group.users }),
+            'usergroups.users.update': ({ users }) => { group.users = users.split(','); },
+            'usergroups.disable': () => { group.disabled = true; },
+            'usergroups.enable': () => { group.disabled = false; }
+        });
+    });
+
+    after(() => closeTestBot(bot));
+
+    beforeEach(() => {
+        bot.slackCalls.length = 0;
+    });
+
+    // A mapping of one internal schedule with `members` to a group that starts with `users`
+    async function createMapping(name, members, users, syncConfig = {}) {
+        group = { users, disabled: false };
+        const { id: scheduleId } = await bot.createSchedule({ name, type: 'internal', frequency: 'daily', members: members.length ? members : ['U01'], workspaceId: 'T1' });
+        if (members.length === 0) await setMembers(scheduleId, []);
+        const userGroup = await bot.createOrGetUserGroup(`@${name.toLowerCase()}-oncall`, 'T1');
+        const mapping = await bot.createScheduleMapping(userGroup.id, [scheduleId], { conflictResolution: 'merge', ...syncConfig }, 'T1');
+        bot.slackCalls.length = 0;
+        return { scheduleId, mappingId: mapping.id };
+    }
+
+    function setMembers(scheduleId, members) {
+        return bot.db.run(`UPDATE schedules SET members = ? WHERE id = ?`, [JSON.stringify(members), scheduleId]);
+    }
+
+    const writes = () => bot.slackCalls.map(call => call.method).filter(method => method !== 'usergroups.users.list');
+
+    test('a sync writes to Slack only when membership differs and logs who changed', async () => {
+        const { mappingId } = await createMapping('Diff', ['U01'], ['U02', 'U03']);
+
+        const first = await bot.syncScheduleMapping(mappingId);
+
+        assert.deepStrictEqual(writes(), ['usergroups.users.update']);
+        assert.deepStrictEqual(group.users, ['U01']);
+        assert.deepStrictEqual([first.added, first.removed, first.changed], [['U01'], ['U02', 'U03'], true]);
+        const log = await bot.getLatestSyncLog(mappingId);
+        assert.deepStrictEqual([log.status, JSON.parse(log.users_added), JSON.parse(log.users_removed)], ['success', ['U01'], ['U02', 'U03']]);
+
+        bot.slackCalls.length = 0;
+        const second = await bot.syncScheduleMapping(mappingId);
+
+        assert.deepStrictEqual(writes(), []);
+        assert.strictEqual(second.changed, false);
+        const unchanged = await bot.getLatestSyncLog(mappingId);
+        assert.deepStrictEqual([JSON.parse(unchanged.users_added), JSON.parse(unchanged.users_removed)], [[], []]);
+    });
+
+    test('with nobody on call the keep policy leaves the group alone', async () => {
+        const { mappingId } = await createMapping('Keep', [], ['U02']);
+
+        const result = await bot.syncScheduleMapping(mappingId);
+
+        assert.deepStrictEqual(writes(), []);
+        assert.deepStrictEqual(result.users, ['U02']);
+        assert.match((await bot.getLatestSyncLog(mappingId)).error_message, /kept the current members/);
+    });
+
+    test('with nobody on call the backup policy puts the backup user in the group', async () => {
+        const { mappingId } = await createMapping('Backup', [], ['U02'], { emptyPolicy: 'backup', backupUser: 'U09' });
+
+        const result = await bot.syncScheduleMapping(mappingId);
+
+        assert.deepStrictEqual(writes(), ['usergroups.users.update']);
+        assert.deepStrictEqual(group.users, ['U09']);
+        assert.deepStrictEqual([result.added, result.removed], [['U09'], ['U02']]);
+    });
+
+    test('the clear policy disables the group and a later sync enables it again', async () => {
+        const { scheduleId, mappingId } = await createMapping('Clear', [], ['U02'], { emptyPolicy: 'clear' });
+
+        const cleared = await bot.syncScheduleMapping(mappingId);
+
+        assert.deepStrictEqual(writes(), ['usergroups.disable']);
+        assert.strictEqual(group.disabled, true);
+        assert.deepStrictEqual([cleared.users, cleared.removed], [[], ['U02']]);
+        assert.ok((await bot.getMappingById(mappingId)).group_disabled_at);
+
+        bot.slackCalls.length = 0;
+        await bot.syncScheduleMapping(mappingId);
+        assert.deepStrictEqual(writes(), []);
+
+        await setMembers(scheduleId, ['U01']);
+        const restored = await bot.syncScheduleMapping(mappingId);
+
+        assert.deepStrictEqual(writes(), ['usergroups.enable', 'usergroups.users.update']);
+        assert.deepStrictEqual([group.disabled, group.users], [false, ['U01']]);
+        assert.deepStrictEqual([restored.added, restored.removed], [['U01'], []]);
+        assert.strictEqual((await bot.getMappingById(mappingId)).group_disabled_at, null);
+    });
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+const { describeEachBackend, createTestBot, closeTestBot } = require('./helpers');
+
+describeEachBackend('Webhooks', backend => {
+    let bot;
+
+    before(async () => {
+        bot = await createTestBot(backend.url);
+    });
+
+    after(() => closeTestBot(bot));
+
+    test('webhook URLs must be https on a public host', async () => {
+        for (const url of ['http://hooks.example.com/rotations', 'https://localhost/hook', 'https://10.0.0.8/hook', 'https://169.254.169.254/latest', 'not a url', undefined]) {
+            await assert.rejects(bot.createWebhook('T1', url, [], 'U0ADMIN'), { name: 'ValidationError' }, String(url));
+        }
+
+        const webhook = await bot.createWebhook('T1', 'https://hooks.example.com/rotations', [], 'U0ADMIN');
+        assert.strictEqual(webhook.url, 'https://hooks.example.com/rotations');
+    });
+
+    test('due deliveries are retried even before their first attempt', async t => {
+        const post = t.mock.method(axios, 'post', async () => ({ status: 204 }));
+        const webhook = await bot.createWebhook('T2', 'https://hooks.example.com/first', [], 'U0ADMIN');
+        const delivery = await bot.createWebhookDelivery(webhook, { id: 'evt_1', type: 'rotation.changed' });
+        await bot.updateWebhookDelivery(delivery.id, { next_attempt_at: new Date(Date.now() - 60000).toISOString() });
+
+        const due = await bot.retryWebhookDeliveries();
+
+        assert.deepStrictEqual(due.map(row => row.id), [delivery.id]);
+        assert.strictEqual(post.mock.callCount(), 1);
+        const [row] = await bot.getWebhookDeliveries(webhook.id);
+        assert.strictEqual(row.status, 'delivered');
+        assert.strictEqual(row.attempts, 1);
+    });
+
+    test('a delivery is only sent by whoever claims it', async t => {
+        const post = t.mock.method(axios, 'post', async () => ({ status: 200 }));
+        const webhook = await bot.createWebhook('T3', 'https://hooks.example.com/once', [], 'U0ADMIN');
+        const delivery = await bot.createWebhookDelivery(webhook, { id: 'evt_2', type: 'rotation.changed' });
+
+        const sent = await Promise.all([bot.deliverWebhook(delivery), bot.deliverWebhook(delivery)]);
+
+        assert.deepStrictEqual(sent.sort(), [false, true]);
+        assert.strictEqual(post.mock.callCount(), 1);
+    });
+
+    test('extending an override checks the handoff and emits override.extended', async t => {
+        t.mock.method(axios, 'post', async () => ({ status: 200 }));
+        const { id: scheduleId } = await bot.createSchedule({ name: 'Extend', type: 'internal', frequency: 'daily', members: ['U01'], workspaceId: 'T4' });
+        const webhook = await bot.createWebhook('T4', 'https://hooks.example.com/extend', ['override.extended'], 'U0ADMIN');
+        const override = await bot.createOverride(scheduleId, 'U02', '2h', null, 'U01', 'T4');
+        const check = t.mock.method(bot, 'checkScheduleTransition', async () => null);
+
+        await bot.extendOverride(override.id, '1h');
+
+        assert.deepStrictEqual(check.mock.calls.map(call => call.arguments[0]), [scheduleId]);
+        const [delivery] = await bot.getWebhookDeliveries(webhook.id);
+        assert.strictEqual(delivery.event_type, 'override.extended');
+        const { payload } = await bot.db.get('SELECT payload FROM webhook_deliveries WHERE id = ?', [delivery.id]);
+        const { data } = JSON.parse(payload);
+        assert.strictEqual(new Date(data.override.endTime) - new Date(data.override.startTime), 3 * 3600000);
+    });
+});